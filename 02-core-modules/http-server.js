@@ -14,11 +14,268 @@
 
 // Import the http module
 const http = require('http');
-// Import the url module for parsing URL parameters
-const url = require('url');
+// Import our own router and request context modules
+const { createRouter } = require('./http-toolkit/router');
+const { createContext } = require('./http-toolkit/context');
+const { html, createTemplateEngine } = require('./http-toolkit/template');
+const { createStaticHandler } = require('./http-toolkit/static');
+const { createShutdownController } = require('./http-toolkit/shutdown');
+const { createMonitoring } = require('./http-toolkit/monitoring');
+const { send, createErrorHandler } = require('./http-toolkit/response');
+const { NotFoundError, BadRequestError, MethodNotAllowedError } = require('./http-toolkit/errors');
+const { saveBodyToFile } = require('./http-toolkit/body-parser');
+const { createCompression } = require('./http-toolkit/compression');
+const httpClient = require('./http-toolkit/client');
+const { createRequestId } = require('./http-toolkit/request-id');
+// The greet() module from the modules chapter; it speaks en, fr, de and ja
+const greet = require('../03-modules-and-exports/basic-module/greet');
+// The structured logger from the modules chapter
+const { createLogger } = require('../03-modules-and-exports/module-patterns/logger');
+// AsyncResource.bind() keeps the request context in event listeners
+const { AsyncResource } = require('async_hooks');
+// Import the os module to find the temporary folder for uploads
+const os = require('os');
+// Import the path module to locate the public folder
+const path = require('path');
 
 console.log('------ HTTP SERVER DEMO ------');
 
+/**
+ * Logging
+ * 
+ * Request logs go through createLogger(). Every record written while a request
+ * is handled - even from timers, promises and awaits - carries that request's
+ * ID (see the request ID section below), so its lines can be found together.
+ * LOG_LEVEL=http=info hides the debug lines (such as the request headers).
+ */
+const log = createLogger({ name: 'http', level: 'debug' });
+
+/**
+ * Routing
+ * 
+ * Routing refers to determining how an application responds to a client request
+ * to a particular endpoint, which is a URI (or path) and a specific HTTP request method.
+ * 
+ * Instead of a long if/else chain on the path, we register each route with a
+ * small router (see http-toolkit/router.js). The router also understands path
+ * parameters like '/users/:id' and answers 405 Method Not Allowed when the
+ * path exists but the method does not.
+ * 
+ * Every handler receives a request context (see http-toolkit/context.js)
+ * with the parsed path, query, cookies and body instead of the raw req.
+ */
+/**
+ * Templates
+ * 
+ * Never build HTML by pasting user input into a string: /greet?name=<script>...
+ * would run that script in the visitor's browser (reflected XSS).
+ * The html`...` tag from http-toolkit/template.js escapes every value by default,
+ * and every page shares one layout instead of repeating <html><head><title>.
+ * Views can also be strings with {{ placeholders }}, escaped the same way.
+ */
+const views = createTemplateEngine({ defaultLayout: 'main' });
+
+views.layout('main', '<html><head><title>{{ title }}</title></head><body>{{ body }}</body></html>');
+
+views.partial('backLink', () => html`<p><a href="/">Back to Home</a></p>`);
+
+// Sends a rendered page with the given status code
+function sendPage(ctx, statusCode, view, data) {
+  ctx.res.statusCode = statusCode;
+  ctx.res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  ctx.res.end(views.render(view, data));
+}
+
+const router = createRouter();
+
+router.get('/', homePage);
+router.get('/home', homePage);
+
+const homeLinks = [
+  { href: '/', label: 'Home' },
+  { href: '/about', label: 'About' },
+  { href: '/api', label: 'API' },
+  { href: '/greet?name=John', label: 'Greet John' },
+  { href: '/users/42', label: 'User 42' },
+  { href: '/static/', label: 'Static files' }
+];
+
+function homePage(ctx) {
+  // Set status code to 200 (OK) and render the page inside the shared layout
+  sendPage(ctx, 200, () => html`
+    <h1>Welcome to our HTTP Server Demo</h1>
+    <p>This is a simple Node.js HTTP server.</p>
+    <ul>${homeLinks.map((link) => html`<li><a href="${link.href}">${link.label}</a></li>`)}</ul>
+  `, { title: 'Home Page' });
+}
+
+router.get('/about', (ctx) => {
+  sendPage(ctx, 200, (data, { partial }) => html`
+    <h1>About Our HTTP Server</h1>
+    <p>This example demonstrates the basics of creating an HTTP server in Node.js.</p>
+    ${partial('backLink')}
+  `, { title: 'About Page' });
+});
+
+router.get('/api', (ctx) => {
+  // Creating the response data
+  const apiResponse = {
+    message: 'This is a JSON response from the API endpoint',
+    timestamp: new Date().toISOString(),
+    path: ctx.path
+  };
+  
+  // send() answers in JSON, HTML or plain text depending on the Accept header
+  // Try: curl -H "Accept: text/plain" http://localhost:3000/api
+  send(ctx, 200, apiResponse, {
+    html: (data) => views.render(() => html`
+      <h1>API</h1>
+      <p>${data.message}</p>
+      <p>Generated at ${data.timestamp}</p>
+    `, { title: 'API' }),
+    text: (data) => `${data.message}\nGenerated at ${data.timestamp}\n`
+  });
+});
+
+views.view('greet', `
+    <h1>{{ message }}</h1>
+    <p>This page demonstrates how to use query parameters.</p>
+    {{ "backLink" | partial }}
+  `);
+
+router.get('/greet', (ctx) => {
+  // Using query parameters
+  // The name comes from the user, so the template escapes it automatically
+  const name = ctx.query.name || 'Guest';
+  
+  // The greeting follows the browser's language preferences
+  // Try: curl -H "Accept-Language: de" "http://localhost:3000/greet?name=ada"
+  const message = greet(name, { locale: ctx.headers['accept-language'] });
+  
+  sendPage(ctx, 200, 'greet', { title: 'Greeting', message });
+});
+
+// Path parameters: '/users/42' gives ctx.params.id === '42'
+router.get('/users/:id', (ctx) => {
+  // Throwing an HttpError is all it takes to send a proper error response
+  if (!/^\d+$/.test(ctx.params.id)) {
+    throw new BadRequestError(`User id must be a number, got '${ctx.params.id}'`);
+  }
+  
+  send(ctx, 200, { id: ctx.params.id, message: 'User details would go here' });
+});
+
+router.delete('/users/:id', (ctx) => {
+  // 204 No Content: the request succeeded and there is nothing to send back
+  ctx.res.statusCode = 204;
+  ctx.res.end();
+});
+
+// Reading a request body: the context parses JSON, urlencoded and text bodies on demand
+// Bodies larger than the limit get a 413 Payload Too Large; gzip/deflate bodies are decompressed
+// curl -X POST -H "Content-Type: application/json" -d '{"hello":"world"}' http://localhost:3000/api/echo
+router.post('/api/echo', async (ctx) => {
+  const body = await ctx.body();
+  // Still inside the request's log context after the await: this record has the request ID
+  log.debug({ type: typeof body }, 'Parsed request body');
+  
+  send(ctx, 200, { received: body, query: ctx.query, cookies: ctx.cookies });
+});
+
+// Large uploads are streamed straight to disk instead of being buffered in memory
+// curl -X PUT --data-binary @some-file.zip http://localhost:3000/uploads/some-file.zip
+router.put('/uploads/:name', async (ctx) => {
+  // path.basename() drops any directory part, so '../../etc/passwd' cannot escape
+  const fileName = path.basename(ctx.params.name);
+  const target = path.join(os.tmpdir(), `upload-${Date.now()}-${fileName}`);
+  
+  const bytes = await saveBodyToFile(ctx.req, target, { limit: '50mb' });
+  log.info({ file: target, bytes }, 'Upload stored');
+  send(ctx, 201, { file: target, bytes });
+});
+
+/**
+ * Static Files
+ * 
+ * Everything under /static/ is served from the public/ folder, with MIME types,
+ * ETags, 304 Not Modified responses and Range requests (see http-toolkit/static.js).
+ * Try: curl -i -H "Range: bytes=0-15" http://localhost:3000/static/styles.css
+ */
+const serveStatic = createStaticHandler(path.join(__dirname, 'public'), { maxAge: 60 });
+
+router.get('/static/*', async (ctx) => {
+  // Pass the raw (still encoded) path: ctx.params values are already decoded
+  const served = await serveStatic(ctx, ctx.path.slice('/static'.length));
+  if (!served) notFound(ctx);
+});
+
+/**
+ * Error Handling
+ * 
+ * Handlers throw typed errors (see http-toolkit/errors.js) and one error handler
+ * turns them into responses. It reads the Accept header and answers with
+ * application/problem+json (RFC 7807), an HTML page or plain text.
+ * Stack traces are only included when NODE_ENV is not 'production'.
+ */
+
+// Handling 404 Not Found
+router.notFound(notFound);
+
+function notFound(ctx) {
+  throw new NotFoundError(`The requested page '${ctx.path}' does not exist.`);
+}
+
+// Handling 405 Method Not Allowed (the error sets the Allow header)
+router.methodNotAllowed((ctx, allowed) => {
+  throw new MethodNotAllowedError(allowed, `${ctx.method} is not supported for '${ctx.path}'`);
+});
+
+// Error pages share the same layout as every other page
+const handleError = createErrorHandler({
+  // Server errors are logged with the request ID of the failed request
+  logger: log,
+  html: (problem) => views.render((data, { partial }) => html`
+    <h1>${data.title}</h1>
+    <p>${data.detail}</p>
+    ${data.stack ? html`<pre>${data.stack.join('\n')}</pre>` : ''}
+    ${partial('backLink')}
+  `, { ...problem, title: `${problem.status} ${problem.title}` })
+});
+
+/**
+ * Monitoring
+ * 
+ * /healthz, /readyz and /metrics (Prometheus format) for orchestrators and dashboards.
+ * Readiness turns unhealthy as soon as the graceful shutdown below starts draining.
+ * See http-toolkit/monitoring.js.
+ */
+const monitoring = createMonitoring({
+  isReady: () => shutdown.isReady()
+});
+
+/**
+ * Compression
+ * 
+ * Responses of 1kb or more are compressed with br, gzip or deflate, whichever the
+ * client's Accept-Encoding header prefers. Images and other already-compressed
+ * types are left alone. See http-toolkit/compression.js.
+ * The demo pages are smaller than that; echoing a ~3kb JSON body shows compression:
+ * curl -s -D - -o /dev/null -H "Accept-Encoding: gzip" -H "Content-Type: application/json" \
+ *   -d "{\"text\": \"$(printf 'hello %.0s' $(seq 500))\"}" http://localhost:3000/api/echo
+ */
+const compress = createCompression({ threshold: 1024 });
+
+/**
+ * Request IDs
+ * 
+ * Each request gets an ID: the incoming X-Request-Id header when a client or proxy
+ * sent one, otherwise a new UUID. The response echoes it in X-Request-Id, and the
+ * rest of the request runs inside an AsyncLocalStorage context that adds it to
+ * every log record. See http-toolkit/request-id.js.
+ * Try: curl -i -H "X-Request-Id: my-test-1" http://localhost:3000/api
+ */
+const requestId = createRequestId();
+
 /**
  * Creating an HTTP Server
  * 
@@ -31,16 +288,30 @@ console.log('------ HTTP SERVER DEMO ------');
  * - res (response): An object used to send a response back to the client
  */
 const server = http.createServer((req, res) => {
-  // Get the URL from the request and parse it
-  // The true parameter tells the url.parse() method to parse the query string
-  const parsedUrl = url.parse(req.url, true);
+  // Compress everything we send from here on (if it is worth it)
+  compress(req, res);
   
-  // Extract the path and query parameters from the parsed URL
-  const path = parsedUrl.pathname;
-  const query = parsedUrl.query;
+  // Health, readiness and metrics probes are answered before any routing
+  if (monitoring.handle(req, res)) return;
   
-  console.log(`\nReceived request: ${req.method} ${path}`);
-  console.log(`Request headers:`, req.headers);
+  // Everything below runs inside this request's log context
+  requestId(req, res, () => handleRequest(req, res));
+});
+
+function handleRequest(req, res) {
+  // Wrap the request in a context object
+  // The context uses the WHATWG URL API (new URL()) to parse the path and query string
+  // JSON and form bodies are limited to 100kb; see http-toolkit/body-parser.js
+  const ctx = createContext(req, res, { body: { limits: { json: '100kb', urlencoded: '100kb' } } });
+  
+  log.info({ method: ctx.method, path: ctx.path }, 'Received request');
+  log.debug({ headers: ctx.headers }, 'Request headers');
+  
+  // 'finish' is emitted by the socket machinery, outside the request's context;
+  // AsyncResource.bind() runs the listener in the context it was created in
+  res.on('finish', AsyncResource.bind(() => {
+    log.info({ status: res.statusCode }, 'Request completed');
+  }));
   
   /**
    * HTTP Headers
@@ -48,8 +319,8 @@ const server = http.createServer((req, res) => {
    * HTTP headers allow the client and server to pass additional information with the request or response.
    * Headers are case-insensitive name-value pairs separated by a colon.
    */
-  // Set response headers
-  res.setHeader('Content-Type', 'text/html');
+  // Headers shared by every response. Content-Type is set by whatever writes
+  // the body (sendPage, the response helpers, static files): a 204 has none.
   res.setHeader('X-Powered-By', 'Node.js');
   
   /**
@@ -63,79 +334,12 @@ const server = http.createServer((req, res) => {
    * - 5xx: Server errors
    */
   
-  /**
-   * Routing
-   * 
-   * Routing refers to determining how an application responds to a client request
-   * to a particular endpoint, which is a URI (or path) and a specific HTTP request method.
-   */
-  // Basic routing based on the path
-  if (path === '/' || path === '/home') {
-    // Set status code to 200 (OK)
-    res.statusCode = 200;
-    
-    // Write the response body
-    res.write('<html><head><title>Home Page</title></head><body>');
-    res.write('<h1>Welcome to our HTTP Server Demo</h1>');
-    res.write('<p>This is a simple Node.js HTTP server.</p>');
-    res.write('<ul>');
-    res.write('<li><a href="/">Home</a></li>');
-    res.write('<li><a href="/about">About</a></li>');
-    res.write('<li><a href="/api">API</a></li>');
-    res.write('<li><a href="/greet?name=John">Greet John</a></li>');
-    res.write('</ul>');
-    res.write('</body></html>');
-    
-    // End the response
-    res.end();
-  } 
-  else if (path === '/about') {
-    res.statusCode = 200;
-    res.write('<html><head><title>About Page</title></head><body>');
-    res.write('<h1>About Our HTTP Server</h1>');
-    res.write('<p>This example demonstrates the basics of creating an HTTP server in Node.js.</p>');
-    res.write('<p><a href="/">Back to Home</a></p>');
-    res.write('</body></html>');
-    res.end();
-  }
-  else if (path === '/api') {
-    // Setting the Content-Type to application/json for API responses
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 200;
-    
-    // Creating a JSON response
-    const jsonResponse = {
-      message: 'This is a JSON response from the API endpoint',
-      timestamp: new Date().toISOString(),
-      path: path
-    };
-    
-    // Converting the JSON object to a string and sending it
-    res.end(JSON.stringify(jsonResponse));
-  }
-  else if (path === '/greet') {
-    // Using query parameters
-    const name = query.name || 'Guest';
-    
-    res.statusCode = 200;
-    res.write('<html><head><title>Greeting</title></head><body>');
-    res.write(`<h1>Hello, ${name}!</h1>`);
-    res.write('<p>This page demonstrates how to use query parameters.</p>');
-    res.write('<p><a href="/">Back to Home</a></p>');
-    res.write('</body></html>');
-    res.end();
-  }
-  else {
-    // Handling 404 Not Found
-    res.statusCode = 404;
-    res.write('<html><head><title>404 Not Found</title></head><body>');
-    res.write('<h1>404 Not Found</h1>');
-    res.write(`<p>The requested page '${path}' does not exist.</p>`);
-    res.write('<p><a href="/">Back to Home</a></p>');
-    res.write('</body></html>');
-    res.end();
-  }
-});
+  // Let the router pick the handler for this method and path
+  // Handlers may throw or be async, so every error ends up in handleError()
+  Promise.resolve()
+    .then(() => router.handle(ctx))
+    .catch((error) => handleError(ctx, error));
+}
 
 /**
  * PORT and HOST
@@ -159,12 +363,17 @@ const HOST = 'localhost'; // or '127.0.0.1'
  */
 server.listen(PORT, HOST, () => {
   console.log(`Server is running at http://${HOST}:${PORT}/`);
-  console.log('To stop the server, press Ctrl+C');
+  console.log('To stop the server, press Ctrl+C (the server shuts down gracefully)');
   console.log('\nAvailable routes:');
   console.log('- http://localhost:3000/           (Home page)');
   console.log('- http://localhost:3000/about      (About page)');
   console.log('- http://localhost:3000/api        (JSON API)');
   console.log('- http://localhost:3000/greet?name=YourName (Greeting with query parameter)');
+  console.log('- http://localhost:3000/users/42   (Path parameter)');
+  console.log('- POST http://localhost:3000/api/echo (Request body parsing)');
+  console.log('- PUT http://localhost:3000/uploads/:name (Streaming upload to a file)');
+  console.log('- http://localhost:3000/static/    (Static files from public/)');
+  console.log('- http://localhost:3000/healthz, /readyz, /metrics (Monitoring probes)');
 });
 
 /**
@@ -182,31 +391,48 @@ server.on('error', (error) => {
   // EADDRINUSE: Address already in use (another server is already running on the specified port)
 });
 
+/**
+ * Graceful Shutdown
+ * 
+ * Ctrl+C sends SIGINT, and Docker/Kubernetes send SIGTERM to stop a service.
+ * Instead of dying mid-request, we stop accepting new connections, let the
+ * requests in flight finish (up to 10 seconds), run cleanup hooks and exit.
+ * See http-toolkit/shutdown.js for the details.
+ */
+const shutdown = createShutdownController(server, { timeout: 10000 });
+
+shutdown.onShutdown('monitoring', () => monitoring.stop());
+
+shutdown.onShutdown('goodbye', () => {
+  // Close database pools, flush logs, etc. here
+  console.log('Cleaning up before exit...');
+});
+
+shutdown.installSignalHandlers();
+
 /**
  * Making HTTP Requests
  * 
  * The http module can also be used to make requests to other servers.
- * See the example below (commented out to keep the server example focused).
+ * Collecting chunks by hand, parsing JSON, timeouts and retries are all handled
+ * by our small promise-based client (see http-toolkit/client.js).
+ * 
+ * Here the server calls its own /api endpoint once it is listening.
  */
+async function checkOwnApi() {
+  try {
+    const response = await httpClient.get(`http://${HOST}:${PORT}/api`, {
+      timeout: 2000, // give up after 2 seconds
+      retry: 2       // retry twice (with exponential backoff) on network errors and 5xx
+    });
+    
+    console.log(`\nSelf-check: GET /api answered ${response.status}:`, response.data.message);
+  } catch (error) {
+    console.error('Self-check failed:', error.code, error.message);
+  }
+}
 
-/*
-// Making a GET request
-http.get('http://example.com', (response) => {
-  let data = '';
-  
-  // A chunk of data has been received
-  response.on('data', (chunk) => {
-    data += chunk;
-  });
-  
-  // The whole response has been received
-  response.on('end', () => {
-    console.log('Response data:', data);
-  });
-}).on('error', (error) => {
-  console.error('Error making request:', error.message);
-});
-*/
+server.on('listening', checkOwnApi);
 
 /**
  * To run this file, use:
@@ -0,0 +1,348 @@
+// body-parser.js - Reading request bodies safely with the core http module
+
+/**
+ * A request body arrives as a stream of chunks. Reading it sounds easy:
+ * collect the chunks, join them, parse. A real server must also think about:
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Size limits: never buffer an unlimited body in memory (413 Payload Too Large)
+ * 2. Content-Encoding: clients may gzip/deflate the body; limits apply to the
+ *    decompressed size too, otherwise a tiny "zip bomb" can fill the memory
+ * 3. Charsets: 'text/plain; charset=latin1' is not UTF-8
+ * 4. Streaming: large uploads should go to a callback or a file chunk by chunk
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline, Transform, Writable } = require('stream');
+const {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} = require('./errors');
+
+// Default limits per body type
+const DEFAULT_LIMITS = {
+  json: '100kb',
+  urlencoded: '100kb',
+  text: '100kb',
+  raw: '1mb'
+};
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Converts a size like '100kb' or '1.5mb' (or a number of bytes) into bytes
+ *
+ * @param {string|number} limit - The limit
+ * @returns {number} The limit in bytes (Infinity when not set)
+ */
+function parseLimit(limit) {
+  if (limit === undefined || limit === null || limit === Infinity) return Infinity;
+  if (typeof limit === 'number') return limit;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(limit).trim());
+  if (!match) throw new TypeError(`Invalid size limit '${limit}'`);
+  return Math.floor(Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Splits a Content-Type header into its media type and charset
+ * 'application/json; charset=UTF-8' -> { type: 'application/json', charset: 'utf-8' }
+ */
+function parseContentType(header) {
+  const [type, ...params] = (header || '').split(';');
+  let charset = null;
+
+  params.forEach((param) => {
+    const [key, value] = param.trim().split('=');
+    if (key && key.toLowerCase() === 'charset' && value) {
+      charset = value.replace(/^"|"$/g, '').toLowerCase();
+    }
+  });
+
+  return { type: type.trim().toLowerCase(), charset };
+}
+
+/**
+ * Returns a decompression stream for the request's Content-Encoding
+ */
+function createDecoder(req) {
+  const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+
+  switch (encoding) {
+    case 'identity':
+      return null;
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      throw new UnsupportedMediaTypeError(`Unsupported Content-Encoding '${encoding}'`);
+  }
+}
+
+/**
+ * A pass-through stream that fails once more than `limit` bytes went through
+ */
+function createLimiter(limit) {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > limit) {
+        return callback(new PayloadTooLargeError(`Request body exceeds the limit of ${limit} bytes`));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Builds the stream of (decompressed, size-limited) body chunks
+ * Throws right away when Content-Length already announces a body that is too large.
+ */
+function createBodyStream(req, options = {}) {
+  const limit = parseLimit(options.limit);
+  const length = Number(req.headers['content-length']);
+
+  if (Number.isFinite(length) && length > limit && !req.headers['content-encoding']) {
+    // Stop reading: there is no point in receiving the rest of the upload
+    req.resume();
+    throw new PayloadTooLargeError(`Request body of ${length} bytes exceeds the limit of ${limit} bytes`);
+  }
+
+  const stages = [req];
+  if (options.inflate !== false) {
+    const decoder = createDecoder(req);
+    if (decoder) stages.push(decoder);
+  } else if (req.headers['content-encoding'] && req.headers['content-encoding'] !== 'identity') {
+    throw new UnsupportedMediaTypeError('Compressed request bodies are not accepted');
+  }
+  stages.push(createLimiter(limit));
+
+  return stages;
+}
+
+/**
+ * Normalizes stream errors: zlib errors mean the client sent a broken body
+ */
+function toBodyError(error) {
+  if (error && error.statusCode) return error;
+  if (error && error.code && error.code.startsWith('Z_')) {
+    return new BadRequestError(`Invalid compressed body: ${error.message}`, { cause: error });
+  }
+  return error;
+}
+
+/**
+ * Streams the body chunk by chunk to a callback
+ *
+ * The callback may return a promise; the next chunk is only delivered once it
+ * resolves, so a slow consumer naturally slows down the upload (backpressure).
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {Function} onChunk - (chunk: Buffer) => void | Promise<void>
+ * @param {Object} [options]
+ * @param {string|number} [options.limit] - Maximum (decompressed) size
+ * @param {boolean} [options.inflate=true] - Decompress gzip/deflate/br bodies
+ * @returns {Promise<number>} The number of bytes received
+ */
+function streamBody(req, onChunk, options = {}) {
+  return new Promise((resolve, reject) => {
+    let total = 0;
+    let stages;
+
+    try {
+      stages = createBodyStream(req, options);
+    } catch (error) {
+      return reject(error);
+    }
+
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        total += chunk.length;
+        Promise.resolve()
+          .then(() => onChunk(chunk))
+          .then(() => callback(), callback);
+      }
+    });
+
+    pipeline(...stages, sink, (error) => {
+      if (error) return reject(toBodyError(error));
+      resolve(total);
+    });
+  });
+}
+
+/**
+ * Reads the whole body into a single Buffer
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} [options] - Same options as streamBody()
+ * @returns {Promise<Buffer>}
+ */
+async function readRaw(req, options = {}) {
+  const chunks = [];
+  await streamBody(req, (chunk) => {
+    chunks.push(chunk);
+  }, options);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Streams the body into a file (for large uploads)
+ * A partially written file is removed when the upload fails.
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {string} filePath - Destination file
+ * @param {Object} [options] - Same options as streamBody()
+ * @returns {Promise<number>} The number of bytes written
+ */
+function saveBodyToFile(req, filePath, options = {}) {
+  return new Promise((resolve, reject) => {
+    let stages;
+    try {
+      stages = createBodyStream(req, options);
+    } catch (error) {
+      return reject(error);
+    }
+
+    const file = fs.createWriteStream(filePath);
+
+    pipeline(...stages, file, (error) => {
+      if (error) {
+        fs.unlink(filePath, () => reject(toBodyError(error)));
+        return;
+      }
+      resolve(file.bytesWritten);
+    });
+  });
+}
+
+/**
+ * Decodes a buffer using the charset from the Content-Type header
+ */
+function decodeText(buffer, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch (error) {
+    throw new UnsupportedMediaTypeError(`Unsupported charset '${charset}'`);
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Converts URLSearchParams into a plain object (repeated keys become arrays)
+ */
+function searchParamsToObject(searchParams) {
+  const result = Object.create(null);
+
+  for (const [key, value] of searchParams) {
+    if (!(key in result)) result[key] = value;
+    else if (Array.isArray(result[key])) result[key].push(value);
+    else result[key] = [result[key], value];
+  }
+
+  return result;
+}
+
+function isJsonType(type) {
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+function isTextType(type) {
+  return type.startsWith('text/');
+}
+
+/**
+ * Reads a JSON body
+ * @throws {UnsupportedMediaTypeError} When the Content-Type is not JSON
+ * @throws {BadRequestError} When the body is not valid JSON
+ */
+async function json(req, options = {}) {
+  const { type, charset } = parseContentType(req.headers['content-type']);
+  if (!isJsonType(type)) {
+    throw new UnsupportedMediaTypeError(`Expected a JSON body, got '${type || 'no content type'}'`);
+  }
+
+  const text = decodeText(await readRaw(req, { limit: DEFAULT_LIMITS.json, ...options }), charset);
+  if (!text.trim()) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BadRequestError(`Invalid JSON body: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Reads an application/x-www-form-urlencoded body
+ */
+async function urlencoded(req, options = {}) {
+  const { type, charset } = parseContentType(req.headers['content-type']);
+  if (type !== 'application/x-www-form-urlencoded') {
+    throw new UnsupportedMediaTypeError(`Expected a urlencoded body, got '${type || 'no content type'}'`);
+  }
+
+  const text = decodeText(await readRaw(req, { limit: DEFAULT_LIMITS.urlencoded, ...options }), charset);
+  return searchParamsToObject(new URLSearchParams(text));
+}
+
+/**
+ * Reads a text body, honouring the charset parameter
+ */
+async function text(req, options = {}) {
+  const { charset } = parseContentType(req.headers['content-type']);
+  return decodeText(await readRaw(req, { limit: DEFAULT_LIMITS.text, ...options }), charset);
+}
+
+/**
+ * Reads a body as a raw Buffer
+ */
+function raw(req, options = {}) {
+  return readRaw(req, { limit: DEFAULT_LIMITS.raw, ...options });
+}
+
+/**
+ * Reads a body with the parser that matches its Content-Type
+ *
+ * JSON -> object, urlencoded -> object, text/* -> string, anything else -> Buffer.
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - Per-type limits { json, urlencoded, text, raw }
+ * @param {boolean} [options.inflate=true] - Decompress gzip/deflate/br bodies
+ * @returns {Promise<*>} The parsed body
+ */
+function parseBody(req, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const { type } = parseContentType(req.headers['content-type']);
+  const streamOptions = { inflate: options.inflate };
+
+  if (isJsonType(type)) return json(req, { ...streamOptions, limit: limits.json });
+  if (type === 'application/x-www-form-urlencoded') {
+    return urlencoded(req, { ...streamOptions, limit: limits.urlencoded });
+  }
+  if (isTextType(type) || !type) return text(req, { ...streamOptions, limit: limits.text });
+  return raw(req, { ...streamOptions, limit: limits.raw });
+}
+
+module.exports = {
+  parseBody,
+  json,
+  urlencoded,
+  text,
+  raw,
+  streamBody,
+  saveBodyToFile,
+  parseLimit,
+  parseContentType,
+  searchParamsToObject,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,379 @@
+// client.js - A promise-based HTTP client built on the http and https modules
+
+/**
+ * http.get() hands you a response stream and leaves everything else to you:
+ * collecting chunks, parsing JSON, following redirects, timeouts, retries...
+ * Packages like axios wrap all of that. This module shows that the core
+ * modules are enough to build the same thing.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Promises: wrap the callback/stream API in a single awaitable call
+ * 2. AbortSignal: one standard way to cancel a request (timeouts included)
+ * 3. Retries with exponential backoff: wait 200ms, 400ms, 800ms... between attempts
+ * 4. Idempotency: only GET/HEAD/PUT/DELETE/OPTIONS are safe to repeat automatically
+ * 5. Redirects: 301/302/303/307/308 point to a new Location
+ * 6. Response size cap: never buffer an unlimited response in memory
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+// Methods that can be repeated without changing the result (RFC 9110)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS', 'TRACE'];
+
+// Status codes that are worth retrying: timeouts, rate limits and temporary server trouble
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Network errors that usually go away on their own
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_TIMEOUT'];
+
+const REDIRECT_STATUS = [301, 302, 303, 307, 308];
+
+/**
+ * Error thrown by the client
+ *
+ * `code` says what went wrong (ERR_BAD_STATUS, ERR_TIMEOUT, ERR_ABORTED,
+ * ERR_TOO_MANY_REDIRECTS, ERR_RESPONSE_TOO_LARGE or a network code such as
+ * ECONNREFUSED). For ERR_BAD_STATUS the response is attached.
+ */
+class HttpClientError extends Error {
+  constructor(message, code, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'HttpClientError';
+    this.code = code;
+    this.response = details.response;
+  }
+}
+
+/**
+ * Waits for `ms` milliseconds, or rejects early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+
+    const timer = setTimeout(done, ms);
+    function done() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError(signal) {
+  return new HttpClientError('Request aborted', 'ERR_ABORTED', { cause: signal && signal.reason });
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with a little random jitter
+ * The jitter stops many clients from retrying at exactly the same moment.
+ */
+function backoffDelay(attempt, retry, response) {
+  // Retry-After (seconds or an HTTP date) tells us exactly how long to wait
+  const retryAfter = response && response.headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, retry.maxDelay);
+  }
+
+  const exponential = retry.baseDelay * 2 ** attempt;
+  const jitter = Math.random() * retry.baseDelay;
+  return Math.min(exponential + jitter, retry.maxDelay);
+}
+
+/**
+ * Decompresses a response stream according to its Content-Encoding
+ *
+ * pipeline() rather than pipe(): when the response fails or is aborted (a
+ * timeout, a reset socket), pipe() leaves the decoder waiting forever, while
+ * pipeline() destroys it with the error, so the decoder emits 'error' too.
+ */
+function decodeStream(res) {
+  let decoder;
+  switch ((res.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      decoder = zlib.createGunzip();
+      break;
+    case 'deflate':
+      decoder = zlib.createInflate();
+      break;
+    case 'br':
+      decoder = zlib.createBrotliDecompress();
+      break;
+    default:
+      return res;
+  }
+  // Errors are reported by the decoder's 'error' event
+  return pipeline(res, decoder, () => {});
+}
+
+/**
+ * Turns the raw body into data: JSON is parsed, text is decoded, the rest stays a Buffer
+ */
+function parseResponseBody(buffer, headers, responseType) {
+  if (responseType === 'buffer') return buffer;
+
+  const contentType = (headers['content-type'] || '').toLowerCase();
+  const text = buffer.toString('utf8');
+
+  if (responseType === 'text') return text;
+  if (responseType === 'json' || contentType.includes('json')) {
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      if (responseType === 'json') throw new HttpClientError(`Invalid JSON response: ${error.message}`, 'ERR_BAD_RESPONSE', { cause: error });
+      return text;
+    }
+  }
+  if (contentType.startsWith('text/') || contentType.includes('xml') || !contentType) return text;
+  return buffer;
+}
+
+/**
+ * Sends one HTTP request (no retries, no redirects)
+ */
+function sendOnce(url, method, headers, body, options, signal) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+
+    const req = transport.request(url, { method, headers, agent: options.agent }, (res) => {
+      const chunks = [];
+      let size = 0;
+      const stream = decodeStream(res);
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > options.maxResponseSize) {
+          req.destroy();
+          stream.destroy();
+          reject(new HttpClientError(
+            `Response exceeds the limit of ${options.maxResponseSize} bytes`, 'ERR_RESPONSE_TOO_LARGE'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      stream.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: res.headers,
+          body: Buffer.concat(chunks)
+        });
+      });
+
+      stream.on('error', (error) => reject(toClientError(error)));
+    });
+
+    // An aborted request surfaces as a socket error; report why it was aborted instead
+    function toClientError(error) {
+      if (signal.aborted) {
+        const timedOut = signal.reason && signal.reason.code === 'ERR_TIMEOUT';
+        return timedOut ?
+          new HttpClientError(`Request timed out after ${options.timeout}ms`, 'ERR_TIMEOUT') :
+          abortError(signal);
+      }
+      return new HttpClientError(error.message, error.code || 'ERR_NETWORK', { cause: error });
+    }
+
+    function onAbort() {
+      req.destroy();
+    }
+
+    req.on('error', (error) => reject(toClientError(error)));
+
+    req.on('close', () => signal.removeEventListener('abort', onAbort));
+
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    if (body !== undefined && body !== null) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Sends one attempt, following redirects, with its own timeout
+ */
+async function attempt(startUrl, method, headers, body, options) {
+  // One controller per attempt: aborted by the timeout or by the caller's signal
+  const controller = new AbortController();
+  const timer = options.timeout > 0 ? setTimeout(() => {
+    const reason = new Error('Timeout');
+    reason.code = 'ERR_TIMEOUT';
+    controller.abort(reason);
+  }, options.timeout) : null;
+
+  const onCallerAbort = () => controller.abort(options.signal.reason);
+  if (options.signal) {
+    if (options.signal.aborted) onCallerAbort();
+    else options.signal.addEventListener('abort', onCallerAbort, { once: true });
+  }
+
+  try {
+    let url = startUrl;
+    let currentMethod = method;
+    let currentBody = body;
+    let currentHeaders = { ...headers };
+    const redirects = [];
+
+    for (;;) {
+      const raw = await sendOnce(url, currentMethod, currentHeaders, currentBody, options, controller.signal);
+
+      if (!REDIRECT_STATUS.includes(raw.status) || !raw.headers.location || options.maxRedirects === 0) {
+        return { ...raw, url: url.href, redirects };
+      }
+
+      if (redirects.length >= options.maxRedirects) {
+        throw new HttpClientError(`Too many redirects (more than ${options.maxRedirects})`, 'ERR_TOO_MANY_REDIRECTS');
+      }
+
+      const next = new URL(raw.headers.location, url);
+      redirects.push(next.href);
+
+      // 303 always becomes a GET; browsers do the same for 301/302 after a POST
+      if (raw.status === 303 || ((raw.status === 301 || raw.status === 302) && currentMethod === 'POST')) {
+        currentMethod = currentMethod === 'HEAD' ? 'HEAD' : 'GET';
+        currentBody = undefined;
+        delete currentHeaders['content-type'];
+        delete currentHeaders['content-length'];
+      }
+
+      // Never leak credentials to another host
+      if (next.origin !== url.origin) {
+        delete currentHeaders.authorization;
+        delete currentHeaders.cookie;
+      }
+
+      url = next;
+    }
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (options.signal) options.signal.removeEventListener('abort', onCallerAbort);
+  }
+}
+
+/**
+ * Sends an HTTP request
+ *
+ * @param {string|URL} url - The URL to request
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {*} [options.json] - Value to send as a JSON body
+ * @param {string|Buffer} [options.body] - Raw request body
+ * @param {number} [options.timeout=10000] - Timeout per attempt in ms (0 disables it)
+ * @param {AbortSignal} [options.signal] - Cancels the request (and any pending retry)
+ * @param {number|Object} [options.retry] - Number of retries, or { retries, baseDelay, maxDelay }
+ * @param {number} [options.maxRedirects=5] - Redirects to follow (0 returns the 3xx response)
+ * @param {number} [options.maxResponseSize=10485760] - Maximum (decompressed) response size in bytes
+ * @param {'json'|'text'|'buffer'} [options.responseType] - How to parse the body (default: by Content-Type)
+ * @param {Function} [options.validateStatus] - status => boolean, defaults to 2xx
+ * @returns {Promise<{status, statusText, headers, data, url, redirects}>}
+ *
+ * @example
+ * const { data } = await request('https://jsonplaceholder.typicode.com/posts/1', { retry: 2 });
+ */
+async function request(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const retryOption = typeof options.retry === 'number' ? { retries: options.retry } : options.retry || {};
+  const retry = {
+    retries: retryOption.retries || 0,
+    baseDelay: retryOption.baseDelay === undefined ? 200 : retryOption.baseDelay,
+    maxDelay: retryOption.maxDelay === undefined ? 10000 : retryOption.maxDelay
+  };
+  const settings = {
+    timeout: options.timeout === undefined ? 10000 : options.timeout,
+    maxRedirects: options.maxRedirects === undefined ? 5 : options.maxRedirects,
+    maxResponseSize: options.maxResponseSize === undefined ? 10 * 1024 * 1024 : options.maxResponseSize,
+    signal: options.signal,
+    agent: options.agent
+  };
+  const validateStatus = options.validateStatus || ((status) => status >= 200 && status < 300);
+
+  // Header names are case-insensitive; lower-case them so we can check for them easily
+  const headers = { 'accept-encoding': 'gzip, deflate, br', 'user-agent': 'node-http-toolkit' };
+  Object.entries(options.headers || {}).forEach(([name, value]) => {
+    headers[name.toLowerCase()] = value;
+  });
+
+  let body = options.body;
+  if (options.json !== undefined) {
+    body = JSON.stringify(options.json);
+    headers['content-type'] = headers['content-type'] || 'application/json';
+    headers.accept = headers.accept || 'application/json';
+  }
+  if (body !== undefined && body !== null) {
+    headers['content-length'] = Buffer.byteLength(body);
+  }
+
+  const target = new URL(url);
+  const canRetry = IDEMPOTENT_METHODS.includes(method);
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    let raw = null;
+    let failure = null;
+
+    try {
+      raw = await attempt(target, method, headers, body, settings);
+    } catch (error) {
+      failure = error;
+    }
+
+    const retryable = canRetry && attemptNumber < retry.retries && !(settings.signal && settings.signal.aborted) && (
+      failure ? RETRYABLE_CODES.includes(failure.code) : RETRYABLE_STATUS.includes(raw.status)
+    );
+
+    if (retryable) {
+      await sleep(backoffDelay(attemptNumber, retry, raw), settings.signal);
+      continue;
+    }
+
+    if (failure) throw failure;
+
+    const response = {
+      status: raw.status,
+      statusText: raw.statusText,
+      headers: raw.headers,
+      data: parseResponseBody(raw.body, raw.headers, options.responseType),
+      url: raw.url,
+      redirects: raw.redirects
+    };
+
+    if (!validateStatus(response.status)) {
+      throw new HttpClientError(`Request failed with status ${response.status}`, 'ERR_BAD_STATUS', { response });
+    }
+
+    return response;
+  }
+}
+
+// Shortcuts: get(url, options), post(url, json, options), ...
+function withoutBody(method) {
+  return (url, options = {}) => request(url, { ...options, method });
+}
+
+function withBody(method) {
+  return (url, json, options = {}) => request(url, { ...options, method, json });
+}
+
+module.exports = {
+  request,
+  get: withoutBody('GET'),
+  head: withoutBody('HEAD'),
+  delete: withoutBody('DELETE'),
+  post: withBody('POST'),
+  put: withBody('PUT'),
+  patch: withBody('PATCH'),
+  HttpClientError
+};
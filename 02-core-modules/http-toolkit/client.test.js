@@ -0,0 +1,123 @@
+// client.test.js - Tests for client.js (run with: npm test, from the repository root)
+
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const { get, post } = require('./client');
+
+/**
+ * Starts a local server for one test and closes it when the test ends
+ */
+function startServer(t, handler) {
+  const server = http.createServer(handler);
+
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/`));
+  });
+}
+
+test('a JSON body is sent and the JSON response is parsed', async (t) => {
+  const url = await startServer(t, (req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: JSON.parse(body), type: req.headers['content-type'] }));
+    });
+  });
+
+  const response = await post(url, { name: 'Ada' });
+  assert.deepStrictEqual(response.data, { received: { name: 'Ada' }, type: 'application/json' });
+});
+
+test('a gzip response is decoded', async (t) => {
+  const url = await startServer(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Encoding': 'gzip' });
+    res.end(zlib.gzipSync('hello'));
+  });
+
+  const response = await get(url);
+  assert.strictEqual(response.data, 'hello');
+});
+
+test('a non-2xx status rejects with the response attached', async (t) => {
+  const url = await startServer(t, (req, res) => {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('nope');
+  });
+
+  await assert.rejects(get(url), (error) => {
+    assert.strictEqual(error.code, 'ERR_BAD_STATUS');
+    assert.strictEqual(error.response.status, 404);
+    return true;
+  });
+});
+
+test('a 503 is retried', async (t) => {
+  let calls = 0;
+  const url = await startServer(t, (req, res) => {
+    calls++;
+    res.writeHead(calls === 1 ? 503 : 200, { 'Content-Type': 'text/plain' });
+    res.end(calls === 1 ? 'busy' : 'ok');
+  });
+
+  const response = await get(url, { retry: { retries: 2, baseDelay: 10 } });
+  assert.strictEqual(response.data, 'ok');
+  assert.strictEqual(calls, 2);
+});
+
+test('redirects are followed', async (t) => {
+  const url = await startServer(t, (req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(301, { Location: '/new' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(req.url);
+  });
+
+  const response = await get(`${url}old`);
+  assert.strictEqual(response.data, '/new');
+  assert.strictEqual(response.redirects.length, 1);
+});
+
+test('a server that never answers times out', async (t) => {
+  const url = await startServer(t, () => {});
+
+  await assert.rejects(get(url, { timeout: 200 }), { code: 'ERR_TIMEOUT' });
+});
+
+/**
+ * Sends the start of a gzip body, then stalls (or resets the connection)
+ * before the body is complete
+ */
+function stallGzip({ reset = false } = {}) {
+  return (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Encoding': 'gzip' });
+    const gzip = zlib.createGzip();
+    gzip.on('data', (chunk) => res.write(chunk));
+    gzip.write('x'.repeat(1000));
+    gzip.flush(() => {
+      if (reset) res.socket.destroy();
+    });
+  };
+}
+
+test('a timeout during a gzip response rejects', async (t) => {
+  const url = await startServer(t, stallGzip());
+
+  await assert.rejects(get(url, { timeout: 300 }), { code: 'ERR_TIMEOUT' });
+});
+
+test('a connection reset during a gzip response rejects', async (t) => {
+  const url = await startServer(t, stallGzip({ reset: true }));
+
+  await assert.rejects(get(url, { timeout: 5000 }), { code: 'ECONNRESET' });
+});
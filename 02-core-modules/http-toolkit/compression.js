@@ -0,0 +1,232 @@
+// compression.js - Streaming gzip, deflate and brotli response compression
+
+/**
+ * Text formats like HTML, CSS, JavaScript and JSON usually shrink to a
+ * fraction of their size when compressed. The client lists what it can
+ * decode in the `Accept-Encoding` header; the server picks one, compresses
+ * the body on the fly and says so in `Content-Encoding`.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Negotiation: 'Accept-Encoding: gzip, deflate, br' -> pick the best we support
+ * 2. Streaming: zlib streams compress chunk by chunk, nothing is buffered whole
+ * 3. When not to compress: tiny bodies, images/videos/zip files (already compressed),
+ *    HEAD requests, 204/304 responses and partial (Range) responses
+ * 4. Vary: caches must store one copy per Accept-Encoding value
+ */
+
+const zlib = require('zlib');
+const { addVary } = require('./context');
+
+// Encodings we can produce, in our order of preference
+const ENCODINGS = ['br', 'gzip', 'deflate'];
+
+// Content types worth compressing; images, audio, video and archives are already compressed
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded|wasm|problem\+json)|image\/svg\+xml|[^;]+\+(json|xml))/i;
+
+/**
+ * Picks the best encoding for an `Accept-Encoding` header
+ *
+ * @param {string} header - The raw header ('gzip, deflate, br;q=0.5')
+ * @param {string[]} [available=ENCODINGS] - Encodings we can produce, in order of preference
+ * @returns {string|null} The chosen encoding, or null for no compression
+ */
+function negotiateEncoding(header, available = ENCODINGS) {
+  if (!header) return null;
+
+  const weights = {};
+  header.split(',').forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    let q = 1;
+    params.forEach((param) => {
+      const [key, value] = param.trim().split('=');
+      if (key === 'q') q = Number(value);
+    });
+    if (name) weights[name] = Number.isNaN(q) ? 0 : q;
+  });
+
+  let best = null;
+  available.forEach((encoding) => {
+    const q = encoding in weights ? weights[encoding] : (weights['*'] || 0);
+    if (q > 0 && (!best || q > best.q)) best = { encoding, q };
+  });
+
+  return best ? best.encoding : null;
+}
+
+function createEncoder(encoding, options) {
+  switch (encoding) {
+    case 'br':
+      return zlib.createBrotliCompress({
+        params: {
+          // Quality 11 (the default) is meant for static assets; 4 is fast enough for live responses
+          [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality
+        }
+      });
+    case 'gzip':
+      return zlib.createGzip({ level: options.level });
+    default:
+      return zlib.createDeflate({ level: options.level });
+  }
+}
+
+/**
+ * Creates the compression layer
+ *
+ * It wraps res.writeHead/write/end, so route handlers keep writing plain
+ * data and never notice that the bytes are compressed on the way out.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold=1024] - Bodies smaller than this (in bytes) are sent as they are
+ * @param {number} [options.level] - gzip/deflate level (1-9, defaults to zlib's default)
+ * @param {number} [options.brotliQuality=4] - Brotli quality (0-11)
+ * @param {Function} [options.filter] - (req, res) => boolean, return false to skip compression
+ * @returns {Function} compress(req, res), also usable as middleware via compress.middleware
+ *
+ * @example
+ * const compress = createCompression();
+ * http.createServer((req, res) => {
+ *   compress(req, res);
+ *   res.end(JSON.stringify(bigObject));
+ * });
+ */
+function createCompression(options = {}) {
+  const settings = {
+    threshold: options.threshold === undefined ? 1024 : options.threshold,
+    level: options.level === undefined ? zlib.constants.Z_DEFAULT_COMPRESSION : options.level,
+    brotliQuality: options.brotliQuality === undefined ? 4 : options.brotliQuality,
+    filter: options.filter || (() => true)
+  };
+
+  function compress(req, res) {
+    const originalWriteHead = res.writeHead;
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const originalOn = res.on;
+
+    let decided = false;
+    let encoder = null;
+
+    /**
+     * Decides (once) whether this response gets compressed
+     * @param {number|null} knownLength - Body size when we already know it
+     */
+    function decide(knownLength) {
+      if (decided) return;
+      decided = true;
+
+      const contentType = String(res.getHeader('Content-Type') || '');
+      if (!COMPRESSIBLE_TYPE.test(contentType)) return;
+
+      // The body depends on Accept-Encoding from here on, even if this one stays uncompressed
+      addVary(res, 'Accept-Encoding');
+
+      if (req.method === 'HEAD') return;
+      if (res.statusCode < 200 || res.statusCode === 204 || res.statusCode === 206 || res.statusCode === 304) return;
+      if (res.getHeader('Content-Encoding') && res.getHeader('Content-Encoding') !== 'identity') return;
+      if (/no-transform/i.test(String(res.getHeader('Cache-Control') || ''))) return;
+      if (!settings.filter(req, res)) return;
+
+      const headerLength = Number(res.getHeader('Content-Length'));
+      const length = Number.isFinite(headerLength) && res.getHeader('Content-Length') !== undefined ?
+        headerLength : knownLength;
+      if (length !== null && length < settings.threshold) return;
+
+      const encoding = negotiateEncoding(req.headers['accept-encoding']);
+      if (!encoding) return;
+
+      res.setHeader('Content-Encoding', encoding);
+      // The compressed size is unknown until we are done, so use chunked encoding
+      res.removeHeader('Content-Length');
+
+      // A strong ETag promises byte-identical bodies; the compressed body differs
+      const etag = res.getHeader('ETag');
+      if (etag && !String(etag).startsWith('W/')) res.setHeader('ETag', `W/${etag}`);
+
+      encoder = createEncoder(encoding, settings);
+
+      // Forward compressed chunks, pausing when the socket is full (backpressure)
+      encoder.on('data', (chunk) => {
+        if (originalWrite.call(res, chunk) === false) encoder.pause();
+      });
+      originalOn.call(res, 'drain', () => encoder.resume());
+      encoder.on('end', () => originalEnd.call(res));
+      encoder.on('error', (error) => res.destroy(error));
+    }
+
+    function chunkLength(chunk, encoding) {
+      if (!chunk) return 0;
+      return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+
+    res.writeHead = function(statusCode, ...args) {
+      res.statusCode = statusCode;
+
+      // writeHead(status, [reason], [headers]): copy headers so decide() can see them
+      const headers = args.find((arg) => arg && typeof arg === 'object');
+      if (headers) {
+        Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+      }
+
+      decide(null);
+      const reason = typeof args[0] === 'string' ? [args[0]] : [];
+      return originalWriteHead.call(res, res.statusCode, ...reason);
+    };
+
+    res.write = function(chunk, encoding, callback) {
+      // More writes may follow, so the final size is unknown
+      decide(null);
+      if (!encoder) return originalWrite.call(res, chunk, encoding, callback);
+      return encoder.write(chunk, typeof encoding === 'string' ? encoding : undefined, typeof encoding === 'function' ? encoding : callback);
+    };
+
+    res.end = function(chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = null;
+      }
+
+      // A single end(body) call tells us the full body size up front
+      decide(chunkLength(chunk, encoding));
+      if (!encoder) return originalEnd.call(res, chunk, encoding, callback);
+
+      if (typeof encoding === 'function') callback = encoding;
+      if (callback) res.once('finish', callback);
+      if (chunk) encoder.end(chunk, typeof encoding === 'string' ? encoding : undefined);
+      else encoder.end();
+      return res;
+    };
+
+    // Once compressing, write() returns the encoder's backpressure, so code
+    // waiting for 'drain' (e.g. stream.pipe) listens to the encoder instead;
+    // the socket's own 'drain' only resumes the encoder
+    ['on', 'addListener', 'once', 'prependListener', 'removeListener', 'off'].forEach((method) => {
+      const original = res[method];
+      res[method] = function(event, listener) {
+        if (event === 'drain' && encoder) {
+          encoder[method](event, listener);
+          return res;
+        }
+        return original.call(res, event, listener);
+      };
+    });
+
+    // Lets streaming responses (e.g. server-sent events) push out buffered data
+    res.flush = function() {
+      if (encoder) encoder.flush();
+    };
+  }
+
+  // Express/Connect-style middleware: (req, res, next)
+  compress.middleware = function(req, res, next) {
+    compress(req, res);
+    if (next) next();
+  };
+
+  return compress;
+}
+
+module.exports = {
+  createCompression,
+  negotiateEncoding,
+  COMPRESSIBLE_TYPE
+};
@@ -0,0 +1,259 @@
+// context.js - A request context built on the WHATWG URL API
+
+/**
+ * Route handlers should not have to dig through `req` to find the path,
+ * query string, cookies or body. This module wraps each request in a
+ * "context" object that exposes those things already parsed.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. WHATWG URL: `new URL()` replaces the deprecated `url.parse()`
+ * 2. Query parameters: repeated keys (?tag=a&tag=b) become arrays
+ * 3. Cookies: parsed from the `Cookie` header on first access
+ * 4. Content negotiation: picking the best type from the `Accept` header
+ * 5. Lazy body parsing: the body is only read when a handler asks for it
+ */
+
+const { parseBody, searchParamsToObject } = require('./body-parser');
+
+/**
+ * Converts URLSearchParams into a plain object
+ *
+ * '?name=John&tag=a&tag=b' -> { name: 'John', tag: ['a', 'b'] }
+ *
+ * @param {URLSearchParams} searchParams - The parsed query string
+ * @returns {Object} The query parameters
+ */
+const parseQuery = searchParamsToObject;
+
+/**
+ * Builds a WHATWG URL object for an incoming request
+ *
+ * req.url only contains the path and query string ('/greet?name=John'),
+ * so we need a base to resolve it against. A malformed Host header must
+ * not crash the server, so we fall back to localhost.
+ */
+function parseRequestUrl(req) {
+  const protocol = req.socket && req.socket.encrypted ? 'https' : 'http';
+  const host = req.headers.host || 'localhost';
+
+  try {
+    return new URL(req.url, `${protocol}://${host}`);
+  } catch (error) {
+    return new URL(req.url, `${protocol}://localhost`);
+  }
+}
+
+/**
+ * Parses a `Cookie` request header into an object
+ *
+ * 'theme=dark; session=abc%20123' -> { theme: 'dark', session: 'abc 123' }
+ *
+ * @param {string} header - The raw Cookie header
+ * @returns {Object} The cookies by name (the first occurrence wins)
+ */
+function parseCookies(header) {
+  const cookies = Object.create(null);
+  if (!header) return cookies;
+
+  header.split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    if (!name || name in cookies) return;
+
+    // Values may optionally be wrapped in double quotes
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Parses an `Accept` header into a list of media ranges sorted by preference
+ *
+ * 'text/html, application/json;q=0.9, *\/*;q=0.1' ->
+ *   [{ type: 'text/html', q: 1 }, { type: 'application/json', q: 0.9 }, ...]
+ */
+function parseAccept(header) {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().split(';');
+      let q = 1;
+
+      params.forEach((param) => {
+        const [key, value] = param.trim().split('=');
+        if (key === 'q') q = Number(value);
+      });
+
+      return { type: type.trim().toLowerCase(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter((range) => range.type && range.q > 0);
+}
+
+/**
+ * How specifically a media range matches a type (-1 means no match)
+ * An exact match beats 'text/*', which beats '*\/*'.
+ */
+function matchSpecificity(range, type) {
+  if (range === type) return 2;
+
+  const [rangeMain, rangeSub] = range.split('/');
+  const [typeMain] = type.split('/');
+
+  if (rangeSub === '*' && rangeMain === typeMain) return 1;
+  if (range === '*/*') return 0;
+  return -1;
+}
+
+/**
+ * Picks the best of the types we can produce for a given `Accept` header
+ *
+ * @param {string} header - The raw Accept header (a missing header accepts anything)
+ * @param {string[]} available - The types we can produce, in our order of preference
+ * @returns {string|false} The chosen type, or false when nothing is acceptable
+ */
+function negotiate(header, available) {
+  if (!available.length) return false;
+  if (!header) return available[0];
+
+  const ranges = parseAccept(header);
+  let best = null;
+
+  available.forEach((type, order) => {
+    const normalized = type.toLowerCase();
+
+    // Find the most specific range that matches this type; its q-value applies
+    let matched = null;
+    ranges.forEach((range) => {
+      const specificity = matchSpecificity(range.type, normalized);
+      if (specificity < 0) return;
+      if (!matched || specificity > matched.specificity) {
+        matched = { q: range.q, specificity, index: range.index };
+      }
+    });
+
+    if (!matched) return;
+
+    const candidate = { type, q: matched.q, specificity: matched.specificity, index: matched.index, order };
+    if (!best ||
+        candidate.q > best.q ||
+        (candidate.q === best.q && candidate.specificity > best.specificity) ||
+        (candidate.q === best.q && candidate.specificity === best.specificity && candidate.order < best.order)) {
+      best = candidate;
+    }
+  });
+
+  return best ? best.type : false;
+}
+
+/**
+ * Appends a value to the Vary header without duplicating it
+ * (setting it would drop what a middleware or route added before)
+ */
+function addVary(res, field) {
+  const current = res.getHeader('Vary');
+  if (!current) {
+    res.setHeader('Vary', field);
+    return;
+  }
+
+  const values = String(current).split(',').map((value) => value.trim().toLowerCase());
+  if (!values.includes('*') && !values.includes(field.toLowerCase())) {
+    res.setHeader('Vary', `${current}, ${field}`);
+  }
+}
+
+/**
+ * Creates the context object handed to every route handler
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {Object} [options]
+ * @param {Object} [options.body] - Options for body parsing, e.g. { limits: { json: '1mb' } }
+ * @returns {Object} The request context
+ *
+ * @example
+ * router.get('/greet', (ctx) => {
+ *   ctx.res.end(`Hello, ${ctx.query.name || 'Guest'}`);
+ * });
+ */
+function createContext(req, res, options = {}) {
+  const requestUrl = parseRequestUrl(req);
+
+  // Cached values for the lazy getters below
+  let query;
+  let cookies;
+  let bodyPromise;
+
+  const ctx = {
+    req,
+    res,
+    method: req.method,
+    url: requestUrl,
+    path: requestUrl.pathname,
+    headers: req.headers,
+
+    // Filled in by the router when a route with parameters matches
+    params: {},
+
+    // Parsed query parameters, e.g. { name: 'John', tag: ['a', 'b'] }
+    get query() {
+      if (!query) query = parseQuery(requestUrl.searchParams);
+      return query;
+    },
+
+    // Parsed cookies from the Cookie header
+    get cookies() {
+      if (!cookies) cookies = parseCookies(req.headers.cookie);
+      return cookies;
+    },
+
+    // Returns a request header (names are case-insensitive)
+    get: function(name) {
+      return req.headers[name.toLowerCase()];
+    },
+
+    /**
+     * Picks the best response type for this request
+     * ctx.accepts('text/html', 'application/json') -> 'application/json' (or false)
+     */
+    accepts: function(...types) {
+      return negotiate(req.headers.accept, types.flat());
+    },
+
+    /**
+     * Reads and parses the request body (JSON, urlencoded, text or raw)
+     * Size limits, charsets and gzip/deflate are handled by body-parser.js.
+     * The body stream can only be consumed once, so the result is cached.
+     *
+     * @returns {Promise<*>} The parsed body
+     */
+    body: function() {
+      if (!bodyPromise) {
+        bodyPromise = parseBody(req, options.body);
+      }
+      return bodyPromise;
+    }
+  };
+
+  return ctx;
+}
+
+module.exports = {
+  createContext,
+  parseQuery,
+  parseCookies,
+  negotiate,
+  addVary
+};
@@ -0,0 +1,184 @@
+// errors.js - A typed HttpError hierarchy
+
+/**
+ * Route handlers should be able to say "this user does not exist" by
+ * throwing an error, not by remembering to set the right status code and
+ * body every time:
+ *
+ *   throw new NotFoundError(`User ${id} not found`);
+ *
+ * The error handler in response.js turns these errors into responses.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Custom error classes: extending Error keeps stack traces and instanceof
+ * 2. One class per status code: the class name documents the intent
+ * 3. Exposed vs internal messages: 4xx messages are meant for the client,
+ *    5xx messages may contain internals and are hidden in production
+ */
+
+const http = require('http');
+
+/**
+ * Base class for every error that maps to an HTTP status code
+ *
+ * @param {number} statusCode - The HTTP status code (400-599)
+ * @param {string} [message] - Human-readable detail (defaults to the status text)
+ * @param {Object} [options]
+ * @param {string} [options.type] - A URI identifying the problem type (RFC 7807)
+ * @param {Object} [options.headers] - Extra response headers (e.g. Retry-After)
+ * @param {Object} [options.extensions] - Extra members for the problem+json body
+ * @param {Error} [options.cause] - The underlying error
+ * @param {boolean} [options.expose] - Whether the message is safe to show clients
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, options = {}) {
+    super(message || http.STATUS_CODES[statusCode] || 'Error', options.cause ? { cause: options.cause } : undefined);
+
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.title = http.STATUS_CODES[statusCode] || 'Error';
+    this.type = options.type || 'about:blank';
+    this.headers = options.headers || {};
+    this.extensions = options.extensions || {};
+    // Client errors are safe to show by default; server errors are not
+    this.expose = options.expose === undefined ? statusCode < 500 : options.expose;
+
+    if (options.cause && !this.cause) this.cause = options.cause;
+  }
+
+  // Kept for compatibility with code that checks error.status (like Express)
+  get status() {
+    return this.statusCode;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, options) {
+    super(400, message, options);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message, options) {
+    super(401, message, options);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message, options) {
+    super(403, message, options);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, options) {
+    super(404, message, options);
+  }
+}
+
+/**
+ * 405 Method Not Allowed always carries the list of allowed methods
+ */
+class MethodNotAllowedError extends HttpError {
+  constructor(allowed = [], message, options = {}) {
+    super(405, message, {
+      ...options,
+      headers: { Allow: allowed.join(', '), ...options.headers },
+      extensions: { allowed, ...options.extensions }
+    });
+    this.allowed = allowed;
+  }
+}
+
+class NotAcceptableError extends HttpError {
+  constructor(message, options) {
+    super(406, message, options);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message, options) {
+    super(413, message, options);
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message, options) {
+    super(415, message, options);
+  }
+}
+
+class UnprocessableEntityError extends HttpError {
+  constructor(message, options) {
+    super(422, message, options);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, options) {
+    super(429, message, options);
+  }
+}
+
+class InternalServerError extends HttpError {
+  constructor(message, options) {
+    super(500, message, options);
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message, options) {
+    super(503, message, options);
+  }
+}
+
+/**
+ * Converts anything that was thrown into an HttpError
+ *
+ * - HttpError instances are returned as they are
+ * - Errors with a numeric `statusCode`/`status` (like our JSON parse errors) keep it
+ * - Everything else becomes a 500 whose message is never exposed
+ *
+ * @param {*} error - The thrown value
+ * @returns {HttpError}
+ */
+function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+
+  const statusCode = error && (error.statusCode || error.status);
+  const isHttpStatus = Number.isInteger(statusCode) && statusCode >= 400 && statusCode <= 599;
+  const message = error instanceof Error ? error.message : String(error);
+
+  const httpError = new HttpError(isHttpStatus ? statusCode : 500, message, {
+    cause: error instanceof Error ? error : undefined,
+    expose: isHttpStatus && statusCode < 500 ? error.expose !== false : false
+  });
+
+  // Keep the original stack trace: that is where the problem actually happened
+  if (error instanceof Error && error.stack) httpError.stack = error.stack;
+  return httpError;
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  NotAcceptableError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+  toHttpError
+};
@@ -0,0 +1,300 @@
+// monitoring.js - Health, readiness and Prometheus metrics endpoints
+
+/**
+ * Orchestrators and monitoring systems ask a service three questions:
+ *
+ * - /healthz  "Are you alive?"        (liveness: restart me if this fails)
+ * - /readyz   "Can you take traffic?" (readiness: stop routing to me if this fails)
+ * - /metrics  "How are you doing?"    (numbers scraped by Prometheus)
+ *
+ * This module answers all three. It works as Express middleware and on a
+ * plain http server, so every service gets the same probes for free.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Liveness vs readiness: a draining server is alive but not ready
+ * 2. Prometheus text format: '# HELP', '# TYPE' and one line per sample
+ * 3. Histograms: request latencies counted into cumulative buckets
+ * 4. Event loop lag: how late timers fire, a direct measure of blocking
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Latency buckets in seconds (the same defaults most Prometheus clients use)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the Prometheus text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels: { method: 'GET', status: 200 } -> {method="GET",status="200"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+/**
+ * Creates a counter and histogram store for HTTP requests
+ * Each unique label combination gets its own series.
+ */
+function createRequestMetrics(buckets) {
+  const series = new Map();
+
+  return {
+    observe: function(labels, seconds) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+
+      if (!entry) {
+        entry = { labels, count: 0, sum: 0, buckets: buckets.map(() => 0) };
+        series.set(key, entry);
+      }
+
+      entry.count++;
+      entry.sum += seconds;
+      buckets.forEach((bound, index) => {
+        if (seconds <= bound) entry.buckets[index]++;
+      });
+    },
+
+    render: function() {
+      const lines = [];
+
+      lines.push('# HELP http_requests_total Total number of HTTP requests.');
+      lines.push('# TYPE http_requests_total counter');
+      for (const entry of series.values()) {
+        lines.push(`http_requests_total${formatLabels(entry.labels)} ${entry.count}`);
+      }
+
+      lines.push('# HELP http_request_duration_seconds HTTP request latency in seconds.');
+      lines.push('# TYPE http_request_duration_seconds histogram');
+      for (const entry of series.values()) {
+        buckets.forEach((bound, index) => {
+          const labels = formatLabels({ ...entry.labels, le: bound });
+          lines.push(`http_request_duration_seconds_bucket${labels} ${entry.buckets[index]}`);
+        });
+        lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`http_request_duration_seconds_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`http_request_duration_seconds_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+
+      return lines;
+    }
+  };
+}
+
+/**
+ * Renders process-level metrics: event loop lag, memory and uptime
+ */
+function renderProcessMetrics(loopDelay, resolutionMs) {
+  const memory = process.memoryUsage();
+  const lines = [];
+
+  function gauge(name, help, value) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    lines.push(`${name} ${value}`);
+  }
+
+  // The histogram reports the time between samples in nanoseconds, which includes
+  // the sampling interval itself; Prometheus convention is seconds
+  const toSeconds = (nanoseconds) => (Number.isFinite(nanoseconds) ?
+    Math.max(nanoseconds - resolutionMs * 1e6, 0) / 1e9 : 0);
+  gauge('nodejs_eventloop_lag_seconds', 'Mean event loop lag since the last scrape.', toSeconds(loopDelay.mean));
+  gauge('nodejs_eventloop_lag_p99_seconds', '99th percentile event loop lag since the last scrape.', toSeconds(loopDelay.percentile(99)));
+  gauge('nodejs_eventloop_lag_max_seconds', 'Maximum event loop lag since the last scrape.', toSeconds(loopDelay.max));
+  loopDelay.reset();
+
+  gauge('nodejs_heap_used_bytes', 'V8 heap memory in use.', memory.heapUsed);
+  gauge('nodejs_heap_total_bytes', 'V8 heap memory allocated.', memory.heapTotal);
+  gauge('process_resident_memory_bytes', 'Resident set size.', memory.rss);
+  gauge('process_uptime_seconds', 'Time since the process started.', process.uptime());
+
+  return lines;
+}
+
+/**
+ * Works out which route a request matched, without using the raw URL
+ *
+ * Using the raw path ('/users/1', '/users/2', ...) as a label would create
+ * one time series per user. Express and our own router both expose the
+ * route pattern as `req.route.path`; anything else is 'unmatched'.
+ */
+function defaultRouteLabel(req) {
+  if (req.route && req.route.path) {
+    return (req.baseUrl || '') + req.route.path;
+  }
+  return 'unmatched';
+}
+
+/**
+ * Creates the monitoring endpoints
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.isReady] - Returns false while the service should not get traffic
+ * @param {Object} [options.checks] - Named readiness checks: { database: async () => {...} }
+ * @param {Object} [options.paths] - Override the paths { health, ready, metrics }
+ * @param {number[]} [options.buckets] - Latency histogram buckets in seconds
+ * @param {Function} [options.routeLabel] - Maps a request to its route label
+ * @returns {Object} { handle, middleware, metrics }
+ *
+ * @example
+ * // Express
+ * app.use(monitoring.middleware);
+ *
+ * // Plain http server
+ * http.createServer((req, res) => {
+ *   if (monitoring.handle(req, res)) return;
+ *   ...
+ * });
+ */
+function createMonitoring(options = {}) {
+  const isReady = options.isReady || (() => true);
+  const checks = options.checks || {};
+  const buckets = options.buckets || DEFAULT_BUCKETS;
+  const routeLabel = options.routeLabel || defaultRouteLabel;
+  const paths = {
+    health: '/healthz',
+    ready: '/readyz',
+    metrics: '/metrics',
+    ...options.paths
+  };
+
+  const requestMetrics = createRequestMetrics(buckets);
+
+  // Samples the event loop delay every 20ms in the background
+  const loopResolution = 20;
+  const loopDelay = monitorEventLoopDelay({ resolution: loopResolution });
+  loopDelay.enable();
+
+  function sendJson(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+  }
+
+  async function runChecks() {
+    const results = {};
+    let healthy = isReady();
+
+    for (const [name, check] of Object.entries(checks)) {
+      try {
+        await check();
+        results[name] = 'ok';
+      } catch (error) {
+        healthy = false;
+        results[name] = error.message || 'failed';
+      }
+    }
+
+    return { healthy, results };
+  }
+
+  /**
+   * Prometheus text exposition of every metric
+   * @returns {string}
+   */
+  function metrics() {
+    const lines = [
+      ...requestMetrics.render(),
+      ...renderProcessMetrics(loopDelay, loopResolution)
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  // Times a request and records it once the response is finished
+  function track(req, res) {
+    const start = process.hrtime.bigint();
+
+    res.once('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      requestMetrics.observe({
+        method: req.method,
+        route: routeLabel(req),
+        status: res.statusCode
+      }, seconds);
+    });
+  }
+
+  /**
+   * Answers probe requests, and starts timing every other request
+   *
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {boolean} true when a probe endpoint sent the response
+   */
+  function handle(req, res) {
+    const pathname = req.url.split('?')[0];
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      if (pathname === paths.health) {
+        sendJson(res, 200, { status: 'ok', uptime: process.uptime() });
+        return true;
+      }
+
+      if (pathname === paths.ready) {
+        runChecks().then(({ healthy, results }) => {
+          sendJson(res, healthy ? 200 : 503, {
+            status: healthy ? 'ready' : 'unavailable',
+            draining: !isReady(),
+            checks: results
+          });
+        }).catch((error) => {
+          // A throwing isReady() must not leave the probe without an answer
+          if (res.headersSent) {
+            res.destroy(error);
+            return;
+          }
+          res.statusCode = 503;
+          res.setHeader('Content-Type', 'application/problem+json');
+          res.setHeader('Cache-Control', 'no-store');
+          res.end(JSON.stringify({
+            type: 'about:blank',
+            title: 'Service Unavailable',
+            status: 503,
+            detail: 'The readiness check failed.'
+          }));
+        });
+        return true;
+      }
+
+      if (pathname === paths.metrics) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(metrics());
+        return true;
+      }
+    }
+
+    track(req, res);
+    return false;
+  }
+
+  return {
+    handle,
+
+    // Express/Connect-style middleware: (req, res, next)
+    middleware: function(req, res, next) {
+      if (!handle(req, res) && next) next();
+    },
+
+    metrics,
+
+    // Stops the background event loop sampling
+    stop: function() {
+      loopDelay.disable();
+    }
+  };
+}
+
+module.exports = {
+  createMonitoring,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,63 @@
+// request-id.js - Correlation IDs for requests (X-Request-Id)
+
+/**
+ * A request ID is a short string attached to one request. It shows up in
+ * every log line written while handling the request and in the response
+ * headers, so a user's bug report ("it failed, ID abc-123") leads straight
+ * to the matching log lines. When a proxy or another service already chose
+ * an ID, we reuse it, so one ID follows the request across services.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Accept or generate: reuse a well-formed incoming X-Request-Id, otherwise crypto.randomUUID()
+ * 2. Echo it: the response carries the same header
+ * 3. AsyncLocalStorage: the rest of the request runs inside a log context
+ *    (see 03-modules-and-exports/module-patterns/log-context.js), so every
+ *    createLogger() record includes `requestId` without passing it around
+ */
+
+const crypto = require('crypto');
+const { runWithContext } = require('../../03-modules-and-exports/module-patterns/log-context');
+
+// Letters, digits and a few separators; anything else could inject fake log lines
+const SAFE_ID = /^[\w.:@-]+$/;
+
+/**
+ * Creates the request ID handler
+ *
+ * @param {Object} [options]
+ * @param {string} [options.header='X-Request-Id'] - Header to read and echo
+ * @param {Function} [options.generate=crypto.randomUUID] - Creates new IDs
+ * @param {boolean} [options.trustIncoming=true] - Reuse IDs sent by the client or a proxy
+ * @param {number} [options.maxLength=128] - Longer incoming IDs are replaced
+ * @returns {Function} (req, res, next) => whatever next returns; also works as Express middleware
+ *
+ * @example
+ * const requestId = createRequestId();
+ * http.createServer((req, res) => {
+ *   requestId(req, res, () => {
+ *     log.info('Handling request'); // includes requestId
+ *     res.end(`Your request ID is ${req.id}`);
+ *   });
+ * });
+ */
+function createRequestId(options = {}) {
+  const header = options.header || 'X-Request-Id';
+  const generate = options.generate || (() => crypto.randomUUID());
+  const trustIncoming = options.trustIncoming !== false;
+  const maxLength = options.maxLength || 128;
+
+  return function requestId(req, res, next) {
+    const incoming = req.headers[header.toLowerCase()];
+    const id = trustIncoming && typeof incoming === 'string' &&
+      incoming.length <= maxLength && SAFE_ID.test(incoming) ? incoming : generate();
+
+    req.id = id;
+    res.setHeader(header, id);
+
+    return runWithContext({ requestId: id }, () => (next ? next() : undefined));
+  };
+}
+
+module.exports = {
+  createRequestId
+};
@@ -0,0 +1,174 @@
+// response.js - Content negotiation and structured error responses
+
+/**
+ * The same resource can be represented in different formats. A browser asks
+ * for HTML, a script using fetch() asks for JSON and curl accepts anything.
+ * The `Accept` request header says which formats the client prefers; the
+ * server picks the best one it can produce. This is content negotiation.
+ *
+ * Errors deserve the same treatment. For JSON clients we use the standard
+ * "problem details" format (RFC 7807, media type application/problem+json):
+ *
+ *   { "type": "about:blank", "title": "Not Found", "status": 404,
+ *     "detail": "The requested page '/nope' does not exist.", "instance": "/nope" }
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Content negotiation: the Accept header decides between JSON, HTML and text
+ * 2. Problem details: a standard JSON shape for API errors
+ * 3. Never leak internals: no stack traces or 5xx messages in production
+ */
+
+const { negotiate, addVary } = require('./context');
+const { NotAcceptableError, toHttpError } = require('./errors');
+const { escapeHtml } = require('./template');
+
+// Formats we can produce, in our order of preference
+const FORMATS = ['application/json', 'text/html', 'text/plain'];
+
+/**
+ * Default HTML representation: the data as escaped, pretty-printed JSON
+ */
+function defaultHtml(data) {
+  return `<html><body><pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre></body></html>`;
+}
+
+/**
+ * Default plain text representation
+ */
+function defaultText(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Sends data in the format the client asked for
+ *
+ * @param {Object} ctx - The request context
+ * @param {number} statusCode - The HTTP status code
+ * @param {*} data - The data to send
+ * @param {Object} [renderers] - Custom representations
+ * @param {Function} [renderers.html] - data => HTML string
+ * @param {Function} [renderers.text] - data => plain text string
+ * @throws {NotAcceptableError} When the client accepts none of our formats
+ *
+ * @example
+ * send(ctx, 200, { message: 'Hi' }, { html: (data) => `<h1>${escapeHtml(data.message)}</h1>` });
+ */
+function send(ctx, statusCode, data, renderers = {}) {
+  const { res } = ctx;
+  const format = negotiate(ctx.headers.accept, FORMATS);
+
+  if (!format) {
+    throw new NotAcceptableError(`Available formats: ${FORMATS.join(', ')}`, {
+      extensions: { available: FORMATS }
+    });
+  }
+
+  // Responses differ by Accept header, so caches must take it into account
+  addVary(res, 'Accept');
+  res.statusCode = statusCode;
+
+  if (format === 'text/html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end((renderers.html || defaultHtml)(data));
+  } else if (format === 'text/plain') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end((renderers.text || defaultText)(data));
+  } else {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(data));
+  }
+}
+
+/**
+ * Builds the RFC 7807 problem details object for an error
+ *
+ * @param {HttpError} error - The error
+ * @param {Object} ctx - The request context
+ * @param {boolean} production - Hide internals when true
+ * @returns {Object} The problem details
+ */
+function toProblem(error, ctx, production) {
+  const problem = {
+    type: error.type,
+    title: error.title,
+    status: error.statusCode,
+    detail: error.expose || !production ? error.message : error.title,
+    instance: ctx.path,
+    ...error.extensions
+  };
+
+  // Stack traces help during development but must never reach production clients
+  if (!production && error.stack) {
+    problem.stack = error.stack.split('\n').map((line) => line.trim());
+  }
+
+  return problem;
+}
+
+/**
+ * Default HTML error page
+ */
+function defaultErrorHtml(problem) {
+  const stack = problem.stack ? `<pre>${escapeHtml(problem.stack.join('\n'))}</pre>` : '';
+  return '<html><head><title>' + escapeHtml(`${problem.status} ${problem.title}`) + '</title></head><body>' +
+    `<h1>${escapeHtml(`${problem.status} ${problem.title}`)}</h1>` +
+    `<p>${escapeHtml(problem.detail)}</p>${stack}</body></html>`;
+}
+
+/**
+ * Creates the function that turns thrown errors into responses
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.production] - Defaults to NODE_ENV === 'production'
+ * @param {Function} [options.html] - problem => HTML page (e.g. rendered with the template engine)
+ * @param {Object} [options.logger=console] - Where server errors are logged
+ * @returns {Function} (ctx, error) => void
+ */
+function createErrorHandler(options = {}) {
+  const production = options.production === undefined ?
+    process.env.NODE_ENV === 'production' : options.production;
+  const renderHtml = options.html || defaultErrorHtml;
+  const logger = options.logger || console;
+
+  return function handleError(ctx, thrown) {
+    const { res } = ctx;
+    const error = toHttpError(thrown);
+
+    // Server errors are our fault: log them with the full stack trace
+    if (error.statusCode >= 500) {
+      logger.error(`${ctx.method} ${ctx.path} failed:`, error.stack || error.message);
+    }
+
+    // Too late to send an error page if the response already started
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    const problem = toProblem(error, ctx, production);
+
+    res.statusCode = error.statusCode;
+    addVary(res, 'Accept');
+    Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+
+    // Errors fall back to JSON even when the client accepts none of our formats
+    const format = negotiate(ctx.headers.accept, ['application/problem+json', ...FORMATS]) || 'application/json';
+
+    if (format === 'text/html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(renderHtml(problem));
+    } else if (format === 'text/plain') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(`${problem.status} ${problem.title}: ${problem.detail}\n`);
+    } else {
+      res.setHeader('Content-Type', 'application/problem+json; charset=utf-8');
+      res.end(JSON.stringify(problem));
+    }
+  };
+}
+
+module.exports = {
+  send,
+  toProblem,
+  createErrorHandler
+};
@@ -0,0 +1,237 @@
+// router.js - A small declarative router for the core http module
+
+/**
+ * Frameworks like Express give you `app.get('/users/:id', handler)`.
+ * Under the hood that is nothing more than a list of routes, each one
+ * compiled to a regular expression, plus a loop that finds the first match.
+ * This module builds exactly that on top of the plain 'http' module.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Route patterns: '/users/:id' captures the 'id' segment as a parameter
+ * 2. Wildcards: '*' matches one segment, or the rest of the path when it is last
+ * 3. Method matching: GET/POST/PUT/DELETE routes can share a path
+ * 4. 405 Method Not Allowed: the path exists, but not for this method
+ */
+
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Escapes characters that have a special meaning inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a route pattern into a regular expression and a list of parameter names
+ *
+ * '/users/:id'  -> /^\/users\/([^/]+)\/?$/     keys: ['id']
+ * '/files/*'    -> /^\/files(?:\/(.*))?\/?$/   keys: ['*']
+ *
+ * A '*' that is not the last segment matches exactly one segment.
+ *
+ * @param {string} pattern - The route pattern
+ * @returns {{regex: RegExp, keys: string[]}} The compiled route
+ */
+function compilePattern(pattern) {
+  const segments = pattern.split('/').filter(Boolean);
+  const keys = [];
+
+  const source = segments.map((segment, index) => {
+    const isLast = index === segments.length - 1;
+
+    if (segment === '*') {
+      keys.push('*');
+      // A trailing wildcard swallows the rest of the path (including nothing at all)
+      return isLast ? '(?:\\/(.*))?' : '\\/([^/]+)';
+    }
+
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      return '\\/([^/]+)';
+    }
+
+    return '\\/' + escapeRegExp(segment);
+  }).join('');
+
+  return {
+    regex: new RegExp(`^${source || '\\/'}\\/?$`),
+    keys
+  };
+}
+
+/**
+ * Turns the capture groups of a successful match into a params object
+ */
+function extractParams(keys, match) {
+  const params = {};
+
+  keys.forEach((key, index) => {
+    const value = match[index + 1];
+    if (value === undefined) {
+      params[key] = '';
+      return;
+    }
+
+    try {
+      params[key] = decodeURIComponent(value);
+    } catch (error) {
+      // Malformed percent-encoding: keep the raw value rather than crashing
+      params[key] = value;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Default handler used when no route matches the path at all
+ */
+function defaultNotFound(ctx) {
+  const { res } = ctx;
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end('Not Found');
+}
+
+/**
+ * Default handler used when the path matches but the method does not
+ */
+function defaultMethodNotAllowed(ctx, allowed) {
+  const { res } = ctx;
+  res.statusCode = 405;
+  res.setHeader('Allow', allowed.join(', '));
+  res.setHeader('Content-Type', 'text/plain');
+  res.end('Method Not Allowed');
+}
+
+/**
+ * Creates a new router
+ *
+ * Handlers are called with a request context (see context.js). The
+ * matched path parameters are available as `ctx.params`.
+ *
+ * @returns {Object} The router
+ *
+ * @example
+ * const router = createRouter();
+ * router.get('/users/:id', (ctx) => ctx.res.end(`User ${ctx.params.id}`));
+ * router.handle(createContext(req, res));
+ */
+function createRouter() {
+  // Private list of registered routes, in registration order
+  const routes = [];
+  let notFoundHandler = defaultNotFound;
+  let methodNotAllowedHandler = defaultMethodNotAllowed;
+
+  function addRoute(method, pattern, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Handler for ${method} ${pattern} must be a function`);
+    }
+
+    const { regex, keys } = compilePattern(pattern);
+    routes.push({ method, pattern, regex, keys, handler });
+    return router;
+  }
+
+  /**
+   * Finds the route for a method and path
+   *
+   * @param {string} method - The HTTP method
+   * @param {string} pathname - The request path (without query string)
+   * @returns {Object} { route, params } on a match, { allowed } when only the
+   *   method is wrong, or an empty object when nothing matches
+   */
+  function lookup(method, pathname) {
+    const allowed = new Set();
+
+    for (const route of routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      // HEAD requests are answered by GET routes (Node drops the body for us)
+      const methodMatches = route.method === '*' ||
+        route.method === method ||
+        (method === 'HEAD' && route.method === 'GET');
+
+      if (methodMatches) {
+        return { route, params: extractParams(route.keys, match) };
+      }
+
+      if (route.method === '*') continue;
+      allowed.add(route.method);
+      if (route.method === 'GET') allowed.add('HEAD');
+    }
+
+    return allowed.size > 0 ? { allowed: [...allowed] } : {};
+  }
+
+  /**
+   * Dispatches a request to the matching route
+   *
+   * @param {Object} ctx - The request context (needs `req`, `method` and `path`)
+   * @returns {*} Whatever the handler returns (useful for async handlers)
+   */
+  function handle(ctx) {
+    const result = lookup(ctx.method, ctx.path);
+
+    if (result.route) {
+      ctx.params = result.params;
+      // Like Express, remember which route pattern matched (used for metrics labels)
+      ctx.req.route = { path: result.route.pattern, method: result.route.method };
+      return result.route.handler(ctx);
+    }
+
+    if (result.allowed) {
+      return methodNotAllowedHandler(ctx, result.allowed);
+    }
+
+    return notFoundHandler(ctx);
+  }
+
+  const router = {
+    // Register a route for a specific method
+    route: function(method, pattern, handler) {
+      return addRoute(method.toUpperCase(), pattern, handler);
+    },
+
+    // Register a route that answers every method
+    all: function(pattern, handler) {
+      return addRoute('*', pattern, handler);
+    },
+
+    // Replace the 404 handler
+    notFound: function(handler) {
+      notFoundHandler = handler;
+      return router;
+    },
+
+    // Replace the 405 handler; it receives the list of allowed methods as a second argument
+    methodNotAllowed: function(handler) {
+      methodNotAllowedHandler = handler;
+      return router;
+    },
+
+    lookup,
+    handle,
+
+    // Read-only view of the registered routes (handy for logging on startup)
+    getRoutes: function() {
+      return routes.map(({ method, pattern }) => ({ method, pattern }));
+    }
+  };
+
+  // Shortcut methods: router.get(), router.post(), router.put(), ...
+  SUPPORTED_METHODS.forEach((method) => {
+    router[method.toLowerCase()] = function(pattern, handler) {
+      return addRoute(method, pattern, handler);
+    };
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  compilePattern
+};
@@ -0,0 +1,207 @@
+// shutdown.js - Graceful shutdown and connection draining for HTTP servers
+
+/**
+ * When an orchestrator (Docker, Kubernetes, systemd, PM2...) wants to stop
+ * your service it sends SIGTERM. If the process simply dies, every request
+ * that was in flight fails. A graceful shutdown looks like this:
+ *
+ * 1. Mark the service as "not ready" so load balancers stop sending traffic
+ * 2. Stop accepting new connections (server.close())
+ * 3. Close idle keep-alive connections right away
+ * 4. Let in-flight requests finish, up to a deadline
+ * 5. Run cleanup hooks (close database pools, flush logs...)
+ * 6. Exit with a meaningful code: 0 when clean, 1 when something went wrong
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Signals: SIGTERM (polite stop request) and SIGINT (Ctrl+C)
+ * 2. Keep-alive: browsers keep sockets open, which keeps server.close() waiting
+ * 3. Deadlines: never wait forever for a slow request
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Creates a shutdown controller for an http.Server
+ *
+ * @param {http.Server} server - The server to drain
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - Maximum time (ms) to wait for in-flight requests
+ * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']] - Signals that trigger a shutdown
+ * @param {Function} [options.exit=process.exit] - Called with the exit code when done
+ * @param {Object} [options.logger=console] - Where progress messages go
+ * @returns {EventEmitter} The controller (emits 'draining' and 'closed')
+ *
+ * @example
+ * const shutdown = createShutdownController(server, { timeout: 5000 });
+ * shutdown.onShutdown('database', () => pool.end());
+ * shutdown.installSignalHandlers();
+ */
+function createShutdownController(server, options = {}) {
+  const timeout = options.timeout === undefined ? 10000 : options.timeout;
+  const signals = options.signals || ['SIGTERM', 'SIGINT'];
+  const exit = options.exit || ((code) => process.exit(code));
+  const logger = options.logger || console;
+
+  const controller = new EventEmitter();
+  const hooks = [];
+
+  // Every open socket, mapped to the number of requests it is currently serving
+  const sockets = new Map();
+
+  let ready = true;
+  let shutdownPromise = null;
+  const signalListeners = new Map();
+
+  server.on('connection', (socket) => {
+    sockets.set(socket, 0);
+    socket.once('close', () => sockets.delete(socket));
+  });
+
+  // prependListener: our bookkeeping must run before the app's handler ends the response
+  server.prependListener('request', (req, res) => {
+    const socket = req.socket;
+    sockets.set(socket, (sockets.get(socket) || 0) + 1);
+
+    // Ask keep-alive clients to reconnect elsewhere once we are draining
+    if (!ready) res.setHeader('Connection', 'close');
+
+    res.once('finish', () => {
+      const active = (sockets.get(socket) || 1) - 1;
+      sockets.set(socket, active);
+
+      // The last request on this socket is done: close it if we are draining
+      if (!ready && active === 0) socket.end();
+    });
+  });
+
+  function closeIdleSockets() {
+    for (const [socket, active] of sockets) {
+      if (active === 0) socket.destroy();
+    }
+  }
+
+  function destroyAllSockets() {
+    for (const socket of sockets.keys()) {
+      socket.destroy();
+    }
+  }
+
+  async function runHooks() {
+    let failed = false;
+
+    // Run hooks in reverse registration order: last opened, first closed
+    for (const hook of [...hooks].reverse()) {
+      try {
+        await hook.fn();
+        logger.log(`Shutdown hook '${hook.name}' completed`);
+      } catch (error) {
+        failed = true;
+        logger.error(`Shutdown hook '${hook.name}' failed: ${error.message}`);
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Starts the shutdown sequence
+   * Calling it again returns the same promise.
+   *
+   * @param {string} [reason='manual'] - The signal or reason (for logging)
+   * @returns {Promise<number>} The exit code
+   */
+  function shutdown(reason = 'manual') {
+    if (shutdownPromise) return shutdownPromise;
+
+    ready = false;
+    logger.log(`Received ${reason}, draining connections (timeout ${timeout}ms)...`);
+    controller.emit('draining', reason);
+
+    shutdownPromise = new Promise((resolve) => {
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        logger.error(`Shutdown timed out, closing ${sockets.size} remaining connection(s)`);
+        destroyAllSockets();
+      }, timeout);
+      // The timer alone should not keep the process alive
+      if (timer.unref) timer.unref();
+
+      server.close(async () => {
+        clearTimeout(timer);
+        const hooksFailed = await runHooks();
+        const code = timedOut || hooksFailed ? 1 : 0;
+
+        logger.log(`Shutdown complete (exit code ${code})`);
+        controller.emit('closed', code);
+        resolve(code);
+      });
+
+      closeIdleSockets();
+    });
+
+    return shutdownPromise;
+  }
+
+  /**
+   * Registers a cleanup hook that runs after the server stopped accepting requests
+   *
+   * @param {string} name - Label used in log messages
+   * @param {Function} fn - Sync or async cleanup function
+   */
+  controller.onShutdown = function(name, fn) {
+    hooks.push({ name, fn });
+    return controller;
+  };
+
+  /**
+   * Listens for SIGTERM/SIGINT and exits once the shutdown completes
+   * A second signal while draining forces an immediate exit.
+   */
+  controller.installSignalHandlers = function() {
+    signals.forEach((signal) => {
+      const listener = () => {
+        if (shutdownPromise) {
+          logger.error(`Received ${signal} again, forcing exit`);
+          return exit(1);
+        }
+        shutdown(signal).then((code) => exit(code));
+      };
+
+      signalListeners.set(signal, listener);
+      process.on(signal, listener);
+    });
+    return controller;
+  };
+
+  // Removes the signal listeners (useful in tests)
+  controller.removeSignalHandlers = function() {
+    for (const [signal, listener] of signalListeners) {
+      process.removeListener(signal, listener);
+    }
+    signalListeners.clear();
+    return controller;
+  };
+
+  // Readiness flag: true until draining starts
+  controller.isReady = function() {
+    return ready;
+  };
+
+  controller.isShuttingDown = function() {
+    return shutdownPromise !== null;
+  };
+
+  controller.getActiveConnections = function() {
+    return sockets.size;
+  };
+
+  controller.shutdown = shutdown;
+
+  return controller;
+}
+
+module.exports = {
+  createShutdownController
+};
@@ -0,0 +1,348 @@
+// static.js - Serving static files with the core http and fs modules
+
+/**
+ * express.static() is convenient, but serving files correctly is not magic.
+ * This module shows what a static file server has to take care of:
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Path traversal: '/../../etc/passwd' must never escape the public folder
+ * 2. MIME types: the browser needs a Content-Type to know what it received
+ * 3. ETag / Last-Modified: let the browser revalidate its cache (304 Not Modified)
+ * 4. Range requests: resume downloads and seek in videos (206 Partial Content)
+ * 5. Directory index: '/docs/' serves '/docs/index.html'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A small map of common file extensions to their MIME types
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Looks up the MIME type for a file name
+ *
+ * @param {string} filePath - The file name or path
+ * @returns {string} The MIME type (application/octet-stream when unknown)
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolves a URL path inside the root folder
+ *
+ * Returns null when the path is invalid or would escape the root, e.g.
+ * '/../secret.txt' or '/%2e%2e/secret.txt'.
+ *
+ * @param {string} root - Absolute path of the public folder
+ * @param {string} urlPath - The (still URL-encoded) request path
+ * @returns {string|null} The absolute file path, or null
+ */
+function resolveSafePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (error) {
+    return null;
+  }
+
+  // Null bytes can trick lower-level file APIs, so reject them outright
+  if (decoded.includes('\0')) return null;
+
+  const filePath = path.resolve(root, '.' + path.posix.normalize('/' + decoded.replace(/\\/g, '/')));
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    return null;
+  }
+
+  return filePath;
+}
+
+/**
+ * Calculates a strong ETag from the file contents
+ * Hashes are cached per path, size and modification time, so each file
+ * version is only read once.
+ */
+function createContentHasher() {
+  const cache = new Map();
+
+  return function(filePath, stats) {
+    const key = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+    if (cache.has(key)) return Promise.resolve(cache.get(key));
+
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1');
+      fs.createReadStream(filePath)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => {
+          const etag = `"${hash.digest('hex')}"`;
+          cache.set(key, etag);
+          resolve(etag);
+        });
+    });
+  };
+}
+
+/**
+ * A weak ETag only changes when the size or modification time changes
+ * It is cheap, but two different files could in theory share one.
+ */
+function weakEtag(stats) {
+  return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Compares ETags the way If-None-Match does (weak comparison ignores the W/ prefix)
+ */
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => strip(tag) === strip(etag));
+}
+
+/**
+ * Decides whether the client's cached copy is still fresh
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110).
+ */
+function isNotModified(headers, etag, lastModified) {
+  if (headers['if-none-match']) {
+    return etagMatches(headers['if-none-match'], etag);
+  }
+
+  if (headers['if-modified-since']) {
+    const since = Date.parse(headers['if-modified-since']);
+    // HTTP dates only have second precision
+    return !Number.isNaN(since) && Math.floor(lastModified / 1000) * 1000 <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Parses a Range header for a file of the given size
+ *
+ * Only a single range is supported; 'bytes=0-99', 'bytes=100-' and 'bytes=-500'
+ * (the last 500 bytes) all work. Multiple ranges fall back to the full file.
+ *
+ * @returns {{start: number, end: number}|null|'unsatisfiable'} The byte range,
+ *   null to ignore the header, or 'unsatisfiable' for a 416 response
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const [, startText, endText] = match;
+  if (!startText && !endText) return null;
+
+  let start;
+  let end;
+
+  if (!startText) {
+    // Suffix range: the last N bytes
+    const length = Number(endText);
+    if (length === 0) return 'unsatisfiable';
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(startText);
+    end = endText ? Math.min(Number(endText), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Checks If-Range: a Range request is only honoured if the file has not changed
+ */
+function ifRangeMatches(header, etag, lastModified) {
+  if (!header) return true;
+
+  const value = header.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // If-Range requires a strong comparison, so weak ETags never match
+    return !value.startsWith('W/') && !etag.startsWith('W/') && value === etag;
+  }
+
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && Math.floor(lastModified / 1000) * 1000 <= date;
+}
+
+/**
+ * Creates a handler that serves files from a folder
+ *
+ * The handler resolves to true when it sent a response and to false when no
+ * file matched, so the caller can fall through to its own 404 page.
+ *
+ * @param {string} root - The folder to serve
+ * @param {Object} [options]
+ * @param {string[]} [options.index=['index.html']] - Files to try for a directory
+ * @param {'strong'|'weak'|false} [options.etag='strong'] - ETag flavour
+ * @param {number} [options.maxAge=0] - Cache-Control max-age in seconds
+ * @param {boolean} [options.dotfiles=false] - Serve files whose name starts with '.'
+ * @returns {Function} async (ctx, urlPath = ctx.path) => boolean
+ *
+ * @example
+ * const serveStatic = createStaticHandler(path.join(__dirname, 'public'));
+ * router.get('/static/*', async (ctx) => {
+ *   // Pass the raw path: ctx.params are already URL-decoded
+ *   if (!(await serveStatic(ctx, ctx.path.slice('/static'.length)))) notFound(ctx);
+ * });
+ */
+function createStaticHandler(root, options = {}) {
+  const rootDir = path.resolve(root);
+  const indexFiles = options.index || ['index.html'];
+  const etagMode = options.etag === undefined ? 'strong' : options.etag;
+  const maxAge = options.maxAge || 0;
+  const dotfiles = options.dotfiles || false;
+  const hashContent = createContentHasher();
+
+  async function statOrNull(filePath) {
+    try {
+      return await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  return async function serveStatic(ctx, urlPath = ctx.path) {
+    const { req, res } = ctx;
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+    let filePath = resolveSafePath(rootDir, urlPath || '/');
+    if (!filePath) return false;
+
+    const relative = path.relative(rootDir, filePath);
+    if (!dotfiles && relative.split(path.sep).some((part) => part.startsWith('.'))) {
+      return false;
+    }
+
+    let stats = await statOrNull(filePath);
+    if (!stats) return false;
+
+    if (stats.isDirectory()) {
+      // '/docs' -> '/docs/' so relative links inside index.html keep working
+      if (!ctx.path.endsWith('/')) {
+        res.statusCode = 301;
+        res.setHeader('Location', ctx.path + '/' + ctx.url.search);
+        res.end();
+        return true;
+      }
+
+      let found = null;
+      for (const name of indexFiles) {
+        const candidate = path.join(filePath, name);
+        const candidateStats = await statOrNull(candidate);
+        if (candidateStats && candidateStats.isFile()) {
+          found = { candidate, candidateStats };
+          break;
+        }
+      }
+
+      if (!found) return false;
+      filePath = found.candidate;
+      stats = found.candidateStats;
+    }
+
+    if (!stats.isFile()) return false;
+
+    const etag = etagMode === 'strong' ? await hashContent(filePath, stats) :
+      etagMode === 'weak' ? weakEtag(stats) : null;
+
+    res.setHeader('Content-Type', getMimeType(filePath));
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    if (etag) res.setHeader('ETag', etag);
+
+    // Conditional GET: the browser already has this version
+    if (isNotModified(req.headers, etag, stats.mtimeMs)) {
+      res.statusCode = 304;
+      res.removeHeader('Content-Type');
+      res.end();
+      return true;
+    }
+
+    let range = null;
+    if (req.headers.range && ifRangeMatches(req.headers['if-range'], etag || '', stats.mtimeMs)) {
+      range = parseRange(req.headers.range, stats.size);
+    }
+
+    if (range === 'unsatisfiable') {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${stats.size}`);
+      res.removeHeader('Content-Type');
+      res.end();
+      return true;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stats.size - 1;
+
+    res.statusCode = range ? 206 : 200;
+    res.setHeader('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+    if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      res.end();
+      return true;
+    }
+
+    // Stream the file instead of reading it into memory
+    await new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(filePath, { start, end });
+      stream.on('error', reject);
+      res.on('close', () => {
+        stream.destroy();
+        resolve();
+      });
+      stream.pipe(res).on('finish', resolve);
+    });
+
+    return true;
+  };
+}
+
+module.exports = {
+  createStaticHandler,
+  getMimeType,
+  resolveSafePath,
+  parseRange,
+  MIME_TYPES
+};
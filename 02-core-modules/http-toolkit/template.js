@@ -0,0 +1,190 @@
+// template.js - Safe HTML templating with layouts and partials
+
+/**
+ * Building HTML with plain template strings is dangerous:
+ *
+ *   res.end(`<h1>Hello, ${query.name}!</h1>`);
+ *
+ * If someone visits /greet?name=<script>...</script>, the script ends up in
+ * the page. This is called reflected XSS (Cross-Site Scripting).
+ *
+ * This module provides an `html` tagged template that escapes every
+ * interpolated value by default. Markup you trust can be inserted with
+ * `raw()`, and pages can share a layout and reusable partials.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Tagged templates: html`...` calls a function with the string parts and values
+ * 2. Auto-escaping: values are escaped unless explicitly marked as safe
+ * 3. Layouts: one shared page skeleton (<html><head><title>...) for every view
+ * 4. Partials: small named fragments reused across views
+ * 5. String templates: '<h1>{{ title }}</h1>' works too, rendered by template()
+ *    from the string-utils package (04-npm-and-packages/creating-package)
+ */
+
+// escapeHtml() is the package's, so both template syntaxes escape the same characters
+const { compileTemplate, escapeHtml } = require('../../04-npm-and-packages/creating-package');
+
+/**
+ * A string that is already safe to insert into HTML
+ *
+ * Wrapping markup in this class is how the engine tells "trusted HTML"
+ * apart from user input that still needs escaping.
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Marks a string as trusted HTML so it is inserted without escaping
+ *
+ * Only use this for markup you wrote yourself, never for user input.
+ *
+ * @param {string} value - Trusted markup
+ * @returns {SafeHtml} The wrapped markup
+ */
+function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(value === null || value === undefined ? '' : value);
+}
+
+/**
+ * Converts an interpolated value into safe HTML
+ * Arrays are joined (handy for lists), false/null/undefined render nothing.
+ */
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  if (value === false || value === null || value === undefined) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * Turns a string template into a template function
+ *
+ * Values are escaped like in html`...`, so SafeHtml (such as a layout's body)
+ * is inserted as it is. {{ "name" | partial }} renders a registered partial.
+ */
+function fromString(source) {
+  const render = compileTemplate(source);
+
+  return (data, helpers) => new SafeHtml(render(data, {
+    escape: toHtml,
+    filters: { partial: (name) => helpers.partial(name, data) }
+  }));
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ *
+ * @example
+ * html`<h1>Hello, ${name}!</h1>`           // name is escaped
+ * html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>`
+ *
+ * @returns {SafeHtml} The rendered markup
+ */
+function html(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, index) => {
+    result += toHtml(value) + strings[index + 1];
+  });
+
+  return new SafeHtml(result);
+}
+
+/**
+ * Creates a template engine with named views, layouts and partials
+ *
+ * Every template is a function `(data, helpers) => html`...``, or a string
+ * with {{ placeholders }} (see template() in the string-utils package).
+ * `helpers.partial(name, data)` renders a registered partial.
+ * A layout receives the rendered view as `data.body`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.defaultLayout] - Layout used when render() is not given one
+ * @returns {Object} The template engine
+ *
+ * @example
+ * const views = createTemplateEngine({ defaultLayout: 'main' });
+ * views.layout('main', ({ title, body }) => html`<title>${title}</title>${body}`);
+ * views.view('greet', ({ name }) => html`<h1>Hello, ${name}!</h1>`);
+ * views.view('bye', '<h1>Goodbye, {{ name | default: "Guest" }}!</h1>');
+ * res.end(views.render('greet', { title: 'Greeting', name: 'John' }));
+ */
+function createTemplateEngine(options = {}) {
+  const layouts = new Map();
+  const partials = new Map();
+  const views = new Map();
+  const defaultLayout = options.defaultLayout || null;
+
+  function lookup(registry, kind, name) {
+    const template = registry.get(name);
+    if (!template) {
+      throw new Error(`Unknown ${kind} '${name}'`);
+    }
+    return template;
+  }
+
+  function toSafe(output) {
+    // Templates should return html`...`, but a plain string is escaped to stay safe
+    return output instanceof SafeHtml ? output : new SafeHtml(escapeHtml(output));
+  }
+
+  const helpers = {
+    partial: function(name, data = {}) {
+      return toSafe(lookup(partials, 'partial', name)(data, helpers));
+    }
+  };
+
+  function register(registry) {
+    return function(name, template) {
+      if (typeof template === 'string') template = fromString(template);
+      if (typeof template !== 'function') {
+        throw new TypeError(`Template '${name}' must be a function or a string`);
+      }
+      registry.set(name, template);
+      return engine;
+    };
+  }
+
+  const engine = {
+    layout: register(layouts),
+    partial: register(partials),
+    view: register(views),
+
+    /**
+     * Renders a view, wrapped in a layout
+     *
+     * @param {string|Function} view - A registered view name or an inline template function
+     * @param {Object} [data] - Values for the template
+     * @param {Object} [renderOptions]
+     * @param {string|false} [renderOptions.layout] - Layout name, or false for no layout
+     * @returns {string} The final HTML
+     */
+    render: function(view, data = {}, renderOptions = {}) {
+      const template = typeof view === 'function' ? view : lookup(views, 'view', view);
+      const body = toSafe(template(data, helpers));
+
+      const layoutName = renderOptions.layout === undefined ? defaultLayout : renderOptions.layout;
+      if (!layoutName) return body.toString();
+
+      const layout = lookup(layouts, 'layout', layoutName);
+      return toSafe(layout({ ...data, body }, helpers)).toString();
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  html,
+  raw,
+  escapeHtml,
+  SafeHtml,
+  createTemplateEngine
+};
@@ -28,16 +28,16 @@ const greet = require('./greet');
  * the require('./greet') call returns that function, which we store
  * in the 'greet' constant.
  * 
- * Note that we can't access privateGreeting or capitalizeFirstLetter
- * from greet.js because they weren't exported.
+ * Note that we can't access defaultLocale
+ * from greet.js because it wasn't exported.
  */
 
 // Now we can use the imported function
 console.log('------ BASIC MODULE DEMO ------');
 
-// Using the greet function with default greeting
+// Using the greet function with default greeting (it depends on the time of day)
 const result1 = greet('john');
-console.log(result1); // "Hello, John!"
+console.log(result1); // "Good morning, John!"
 
 // Using the greet function with custom greeting
 const result2 = greet('mary', 'Good morning');
@@ -46,6 +46,10 @@ console.log(result2); // "Good morning, Mary!"
 // We can use the greet function directly inside a string interpolation
 console.log(`A special message: ${greet('world', 'Greetings')}`);
 
+// Options instead of a greeting: other languages, and plural-aware messages
+console.log(greet('jean-luc', { locale: 'fr', unread: 3 })); // "Bonjour, Jean-Luc ! Vous avez 3 nouveaux messages."
+console.log(greet('McDonald', { locale: 'ja' })); // "こんにちは、McDonaldさん！"
+
 /**
  * Try to run this file with node:
  * node app.js
@@ -10,33 +10,31 @@
  * 2. Single Export: This module exports just one function using module.exports.
  */
 
+// The localized greeter from the internationalization chapter: a message catalog
+// (en, fr, de, ja) with greetings for the time of day and careful name casing
+const localized = require('../../44-internationalization-i18n/greet');
+
 /**
  * A private variable that is only accessible within this module
  * This variable cannot be accessed from outside unless we export it
  */
-const defaultGreeting = 'Hello';
-
-/**
- * A private function that is only accessible within this module
- * This is an implementation detail that users of our module don't need to know about
- */
-function capitalizeFirstLetter(string) {
-  return string.charAt(0).toUpperCase() + string.slice(1);
-}
+const defaultLocale = 'en';
 
 /**
  * The main greet function that we want to expose to other files
  * 
+ * Without a greeting, it picks one for the time of day ("Good morning").
+ * Names typed all in one case are capitalized ("john" -> "John");
+ * "McDonald" or "van der Berg" are kept as they are.
+ * 
  * @param {string} name - The name to greet
- * @param {string} [greeting=defaultGreeting] - Optional custom greeting
+ * @param {string|Object} [greeting] - A custom greeting, or options such as
+ *   { locale: 'fr', unread: 2 } (see 44-internationalization-i18n/greet.js)
  * @returns {string} The complete greeting message
  */
-function greet(name, greeting = defaultGreeting) {
-  // Ensure name is properly formatted
-  const formattedName = capitalizeFirstLetter(name.toLowerCase());
-  
-  // Return the complete greeting
-  return `${greeting}, ${formattedName}!`;
+function greet(name, greeting) {
+  const options = typeof greeting === 'string' ? { greeting } : greeting;
+  return localized.greet(name, { locale: defaultLocale, ...options });
 }
 
 /**
@@ -49,6 +47,6 @@ function greet(name, greeting = defaultGreeting) {
 module.exports = greet;
 
 /**
- * Note that the defaultGreeting variable and capitalizeFirstLetter function 
- * are not exported, so they remain private to this module.
+ * Note that the defaultLocale variable is not exported,
+ * so it remains private to this module.
  */ 
\ No newline at end of file
@@ -0,0 +1,412 @@
+// log-analysis.js - Streaming analysis of log files (API and command line tool)
+
+/**
+ * Reading a log file line by line tells you what happened; a summary tells
+ * you what matters: how many errors, when they started, which messages keep
+ * repeating. This module reads logs as a stream (so files of any size work),
+ * and builds that summary.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Streams + readline: one line at a time, memory use stays flat
+ * 2. Message templates: 'User 42 logged in' and 'User 7 logged in' are the same
+ *    event, so numbers and IDs are masked before counting ('User <num> logged in')
+ * 3. Time series: records are grouped into fixed time buckets (e.g. per minute)
+ * 4. Burst detection: a bucket with far more records than the ones before it
+ *
+ * Run it from the command line:
+ *   node log-analysis.js app.log
+ *   node log-analysis.js --bucket 5m --top 5 app.log.1 app.log
+ *   cat app.ndjson | node log-analysis.js --json
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { parseArgs } = require('util');
+
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace'];
+// Levels counted as errors in the error-rate time series
+const ERROR_LEVELS = ['fatal', 'error'];
+
+// Text formats written by logger.js:
+//   2024-01-01T12:00:00.000Z [App] [INFO] message   (file transports)
+//   [App] [INFO] message                           (console transport)
+//   [INFO] [2024-01-01T12:00:00.000Z] message      (singleton)
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/;
+const LEADING_TIMESTAMP = new RegExp(`^(${TIMESTAMP.source})\\s+`);
+const BRACKET_GROUP = /^\[([^\]]*)\]\s*/;
+
+/**
+ * Parses one log line (NDJSON or one of the text formats above)
+ *
+ * @param {string} line - The line
+ * @returns {Object|null} { timestamp, level, name, message } (null for blank lines)
+ */
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith('{')) {
+    try {
+      const record = JSON.parse(trimmed);
+      return {
+        timestamp: record.timestamp || record.time || null,
+        level: String(record.level || 'info').toLowerCase(),
+        name: record.name || null,
+        message: String(record.message !== undefined ? record.message : (record.msg || ''))
+      };
+    } catch (error) {
+      // Not JSON after all; treat it as text below
+    }
+  }
+
+  const record = { timestamp: null, level: 'unknown', name: null, message: trimmed };
+  let rest = trimmed;
+
+  const leading = LEADING_TIMESTAMP.exec(rest);
+  if (leading) {
+    record.timestamp = leading[1];
+    rest = rest.slice(leading[0].length);
+  }
+
+  // Up to three [bracketed] groups: a level, a timestamp or a logger name
+  for (let i = 0; i < 3; i++) {
+    const group = BRACKET_GROUP.exec(rest);
+    if (!group) break;
+
+    const value = group[1];
+    if (LEVELS.includes(value.toLowerCase()) && record.level === 'unknown') {
+      record.level = value.toLowerCase();
+    } else if (TIMESTAMP.test(value) && !record.timestamp) {
+      record.timestamp = value;
+    } else if (value === 'LOG') {
+      record.level = 'info'; // basicLogger.log()
+    } else {
+      record.name = value;
+    }
+    rest = rest.slice(group[0].length);
+  }
+
+  record.message = rest;
+  return record;
+}
+
+// Masks applied in order; the more specific ones must come first
+const MASKS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [new RegExp(TIMESTAMP.source, 'g'), '<date>'],
+  [/\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g, '<email>'],
+  [/\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b/g, '<ip>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b\d+(\.\d+)?\b/g, '<num>']
+];
+
+/**
+ * Turns a message into its template by masking the parts that vary
+ *
+ * 'Order 1234 failed for 3f2a...-...' -> 'Order <num> failed for <uuid>'
+ *
+ * @param {string} message - The log message
+ * @returns {string} The template
+ */
+function toTemplate(message) {
+  return MASKS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), message);
+}
+
+/**
+ * Converts '30s', '5m', '1h' or '1d' (or a number of milliseconds) into milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) throw new TypeError(`Invalid duration '${value}'`);
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Number(match[1]) * units[match[2] || 'ms'];
+}
+
+/**
+ * Finds buckets with far more records than usual
+ *
+ * A bucket is a burst when it holds at least `minCount` records and more than
+ * `factor` times the average of the `window` buckets before it. The series
+ * only has buckets with records, so missing buckets in the window count as 0.
+ */
+function findBursts(series, key, options) {
+  const bursts = [];
+  const indexes = series.map((bucket) => Date.parse(bucket.start) / options.bucketSize);
+  let windowStart = 0; // first bucket of the series inside the window
+  let windowSum = 0;
+
+  series.forEach((bucket, position) => {
+    // Slide the window to the `window` bucket sizes before this bucket
+    while (indexes[windowStart] < indexes[position] - options.window) {
+      windowSum -= series[windowStart][key];
+      windowStart++;
+    }
+
+    if (indexes[position] - indexes[0] >= options.window) { // enough history
+      const baseline = windowSum / options.window;
+      const count = bucket[key];
+
+      if (count >= options.minCount && count > baseline * options.factor) {
+        bursts.push({
+          start: bucket.start,
+          kind: key === 'errors' ? 'errors' : 'records',
+          count,
+          baseline: Math.round(baseline * 100) / 100
+        });
+      }
+    }
+
+    windowSum += bucket[key];
+  });
+
+  return bursts;
+}
+
+/**
+ * Creates an analyzer that collects statistics record by record
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.bucket='1m'] - Size of a time bucket
+ * @param {number} [options.top=10] - How many message templates to report
+ * @param {number} [options.maxTemplates=10000] - Stop tracking new templates after this many
+ * @param {Object} [options.burst] - { factor = 3, minCount = 10, window = 5 }
+ * @returns {{ add: Function, addLine: Function, result: Function }}
+ */
+function createAnalyzer(options = {}) {
+  const bucketSize = parseDuration(options.bucket || '1m');
+  const top = options.top || 10;
+  const maxTemplates = options.maxTemplates || 10000;
+  const burst = { factor: 3, minCount: 10, window: 5, ...options.burst, bucketSize };
+
+  let total = 0;
+  let firstTime = null;
+  let lastTime = null;
+  const levels = {};
+  const buckets = new Map(); // bucket index -> { total, errors }
+  const templates = new Map();
+  let untracked = 0;
+
+  function add(record) {
+    total++;
+    levels[record.level] = (levels[record.level] || 0) + 1;
+    const isError = ERROR_LEVELS.includes(record.level);
+
+    const time = record.timestamp ? Date.parse(record.timestamp) : NaN;
+    if (!Number.isNaN(time)) {
+      if (firstTime === null || time < firstTime) firstTime = time;
+      if (lastTime === null || time > lastTime) lastTime = time;
+
+      const index = Math.floor(time / bucketSize);
+      const bucket = buckets.get(index) || { total: 0, errors: 0 };
+      bucket.total++;
+      if (isError) bucket.errors++;
+      buckets.set(index, bucket);
+    }
+
+    const template = toTemplate(record.message);
+    let entry = templates.get(template);
+    if (!entry) {
+      // Protects the memory against logs where (almost) every message is unique
+      if (templates.size >= maxTemplates) {
+        untracked++;
+        return;
+      }
+      entry = { template, count: 0, levels: {}, example: record.message, firstSeen: null, lastSeen: null };
+      templates.set(template, entry);
+    }
+    entry.count++;
+    entry.levels[record.level] = (entry.levels[record.level] || 0) + 1;
+    if (!Number.isNaN(time)) {
+      if (!entry.firstSeen) entry.firstSeen = new Date(time).toISOString();
+      entry.lastSeen = new Date(time).toISOString();
+    }
+  }
+
+  function result() {
+    // Only buckets with records: a log spanning months at a 1s bucket size
+    // would otherwise produce millions of empty ones
+    const series = [...buckets.keys()]
+      .sort((a, b) => a - b)
+      .map((index) => {
+        const bucket = buckets.get(index);
+        return {
+          start: new Date(index * bucketSize).toISOString(),
+          total: bucket.total,
+          errors: bucket.errors,
+          errorRate: bucket.errors / bucket.total
+        };
+      });
+
+    const errors = ERROR_LEVELS.reduce((sum, level) => sum + (levels[level] || 0), 0);
+
+    return {
+      total,
+      levels: { ...levels },
+      errors,
+      errorRate: total ? errors / total : 0,
+      timeRange: firstTime === null ? null : {
+        start: new Date(firstTime).toISOString(),
+        end: new Date(lastTime).toISOString()
+      },
+      bucketSize,
+      series,
+      templates: [...templates.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, top),
+      uniqueTemplates: templates.size,
+      untrackedRecords: untracked,
+      bursts: [...findBursts(series, 'total', burst), ...findBursts(series, 'errors', burst)]
+        .sort((a, b) => a.start.localeCompare(b.start))
+    };
+  }
+
+  return {
+    add,
+    // Parses and adds one raw line; blank lines are ignored
+    addLine: function(line) {
+      const record = parseLine(line);
+      if (record) add(record);
+    },
+    result
+  };
+}
+
+/**
+ * Analyzes a readable stream of log lines
+ *
+ * @param {stream.Readable} input - e.g. fs.createReadStream('app.log') or process.stdin
+ * @param {Object} [options] - Same options as createAnalyzer(), or { analyzer } to add to an existing one
+ * @returns {Promise<Object>} The result of the analysis
+ */
+async function analyzeStream(input, options = {}) {
+  const analyzer = options.analyzer || createAnalyzer(options);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    analyzer.addLine(line);
+  }
+
+  return analyzer.result();
+}
+
+/**
+ * Analyzes one or more log files (.gz files are decompressed on the fly)
+ * Rotated files can be passed together: app.log.1, app.log
+ *
+ * @param {string|string[]} files - File paths
+ * @param {Object} [options] - Same options as createAnalyzer()
+ * @returns {Promise<Object>} The result of the analysis
+ */
+async function analyzeFile(files, options = {}) {
+  const analyzer = createAnalyzer(options);
+
+  for (const file of [].concat(files)) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) {
+      // pipeline() passes a read error (e.g. a missing file) on to the gunzip
+      // stream, where analyzeStream() sees it; pipe() would leave it unhandled
+      input = pipeline(input, zlib.createGunzip(), () => {});
+    }
+    await analyzeStream(input, { analyzer });
+  }
+
+  return analyzer.result();
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a result as a plain text report
+ *
+ * @param {Object} result - From analyzeStream() / analyzeFile()
+ * @returns {string}
+ */
+function formatReport(result) {
+  const lines = [];
+
+  lines.push('LOG ANALYSIS REPORT');
+  lines.push('===================');
+  lines.push(`Records:    ${result.total}`);
+  if (result.timeRange) lines.push(`Time range: ${result.timeRange.start} - ${result.timeRange.end}`);
+  lines.push(`Errors:     ${result.errors} (${percent(result.errorRate)})`);
+
+  lines.push('', 'Records per level:');
+  Object.entries(result.levels)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([level, count]) => lines.push(`  ${level.padEnd(8)} ${String(count).padStart(8)}`));
+
+  const errorBuckets = result.series.filter((bucket) => bucket.errors > 0);
+  if (errorBuckets.length) {
+    lines.push('', `Error rate per ${result.bucketSize / 1000}s (buckets with errors):`);
+    errorBuckets.forEach((bucket) => {
+      lines.push(`  ${bucket.start}  ${String(bucket.errors).padStart(6)} / ${String(bucket.total).padEnd(6)} ${percent(bucket.errorRate)}`);
+    });
+  }
+
+  lines.push('', `Top message templates (${result.uniqueTemplates} unique):`);
+  result.templates.forEach((entry) => {
+    const levels = Object.keys(entry.levels).join(',');
+    lines.push(`  ${String(entry.count).padStart(8)}  [${levels}] ${entry.template}`);
+  });
+
+  lines.push('', 'Bursts:');
+  if (!result.bursts.length) lines.push('  none detected');
+  result.bursts.forEach((item) => {
+    lines.push(`  ${item.start}  ${item.count} ${item.kind} (usually about ${item.baseline})`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Command line entry point: node log-analysis.js [--json] [--bucket 1m] [--top 10] [files...]
+ * Reads stdin when no files are given.
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      bucket: { type: 'string', default: '1m' },
+      top: { type: 'string', default: '10' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node log-analysis.js [--json] [--bucket 1m] [--top 10] [file ...]');
+    console.log('Reads NDJSON or text logs from the files, or from stdin when no file is given.');
+    return;
+  }
+
+  const options = { bucket: values.bucket, top: Number(values.top) };
+  const result = positionals.length ?
+    await analyzeFile(positionals, options) :
+    await analyzeStream(process.stdin, options);
+
+  console.log(values.json ? JSON.stringify(result, null, 2) : formatReport(result));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`log-analysis: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseLine,
+  toTemplate,
+  parseDuration,
+  createAnalyzer,
+  analyzeStream,
+  analyzeFile,
+  formatReport
+};
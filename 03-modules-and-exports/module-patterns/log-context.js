@@ -0,0 +1,66 @@
+// log-context.js - Request-scoped log fields with AsyncLocalStorage
+
+/**
+ * A server handles many requests at once, so their log lines interleave.
+ * Adding a request ID to every line ties them back together, but passing
+ * that ID through every function call is tedious and easy to forget.
+ *
+ * AsyncLocalStorage (from the core async_hooks module) keeps a value for
+ * the duration of an asynchronous "call chain": everything started inside
+ * run() - callbacks, timers, promises, awaits - sees the same store.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. storage.run(store, fn): fn and everything it starts asynchronously sees `store`
+ * 2. storage.getStore(): read the store of the current call chain (undefined outside run())
+ * 3. Every createLogger() record includes the fields of the current context
+ * 4. Event listeners run in the context of whoever emits the event, so bind
+ *    them with AsyncResource.bind() when they must see the request context
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with extra log fields for everything it does
+ * Nested calls add to (and may override) the fields of the outer context.
+ *
+ * @param {Object} fields - e.g. { requestId: 'abc' }
+ * @param {Function} fn - The function to run
+ * @returns {*} Whatever fn returns
+ *
+ * @example
+ * runWithContext({ requestId: 'abc' }, () => {
+ *   setTimeout(() => log.info('Later'), 100); // record includes requestId: 'abc'
+ * });
+ */
+function runWithContext(fields, fn) {
+  const parent = storage.getStore();
+  return storage.run({ ...parent, ...fields }, fn);
+}
+
+/**
+ * Returns the log fields of the current context ({} outside runWithContext())
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Adds a field to the current context, e.g. the user ID once a request is authenticated
+ * Only affects code that runs afterwards in the same context.
+ *
+ * @returns {boolean} false when called outside runWithContext()
+ */
+function setContextField(key, value) {
+  const store = storage.getStore();
+  if (!store) return false;
+  store[key] = value;
+  return true;
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextField
+};
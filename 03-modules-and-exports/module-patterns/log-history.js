@@ -0,0 +1,284 @@
+// log-history.js - A bounded, queryable log history with an optional file store
+
+/**
+ * Keeping every log message in an array works for a demo, but a long-running
+ * process would slowly fill its memory. This module keeps only the most
+ * recent entries (a ring buffer) and can also append every entry to a file,
+ * so the history survives restarts.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Ring buffer: a fixed-size array where new entries overwrite the oldest
+ * 2. Append-only store: entries are only ever added to the end of a file (NDJSON)
+ * 3. Querying: filter by level, time range and text, then paginate
+ * 4. Export: NDJSON for tools, CSV for spreadsheets and bug reports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Log levels: a lower number is more severe.
+ * A logger with level 'info' writes fatal, error, warn and info.
+ * logger.js uses this table too, so `minLevel` filters on the same numbers.
+ */
+const DEFAULT_LEVELS = {
+  fatal: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+  trace: 5
+};
+
+/**
+ * Creates a fixed-size ring buffer
+ *
+ * Pushing into a full buffer overwrites the oldest item; nothing is ever
+ * shifted, so a push costs the same no matter how big the buffer is.
+ *
+ * @param {number} capacity - Maximum number of items
+ */
+function createRingBuffer(capacity) {
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new TypeError('The capacity must be a positive integer');
+  }
+
+  let items = new Array(capacity);
+  let start = 0; // index of the oldest item
+  let size = 0;
+
+  return {
+    push: function(item) {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) size++;
+      else start = (start + 1) % capacity; // full: the oldest item was overwritten
+    },
+
+    // The items from oldest to newest
+    toArray: function() {
+      const result = new Array(size);
+      for (let i = 0; i < size; i++) {
+        result[i] = items[(start + i) % capacity];
+      }
+      return result;
+    },
+
+    clear: function() {
+      items = new Array(capacity);
+      start = 0;
+      size = 0;
+    },
+
+    get size() {
+      return size;
+    },
+
+    get capacity() {
+      return capacity;
+    }
+  };
+}
+
+/**
+ * Reads the last `count` lines of a file without loading all of it
+ * (the store only grows, so it can get much bigger than the memory history)
+ */
+function readLastLines(filename, count) {
+  const fd = fs.openSync(filename, 'r');
+  const chunkSize = 64 * 1024;
+
+  try {
+    let position = fs.fstatSync(fd).size;
+    const chunks = [];
+    let newlines = 0;
+
+    // Read backwards until we have enough complete lines or reach the start
+    while (position > 0 && newlines <= count) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, position);
+      chunks.unshift(buffer);
+      for (let i = buffer.indexOf(0x0a); i !== -1; i = buffer.indexOf(0x0a, i + 1)) newlines++;
+    }
+
+    // Decode once: a chunk boundary can fall inside a multibyte character,
+    // which decoding chunk by chunk would turn into U+FFFD
+    let lines = Buffer.concat(chunks).toString('utf8').split('\n');
+    // Unless we reached the start, the first line is probably cut in half
+    if (position > 0) lines = lines.slice(1);
+    return lines.filter(Boolean).slice(-count);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function toTime(value) {
+  if (value === undefined || value === null) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(time)) throw new TypeError(`Invalid date '${value}'`);
+  return time;
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180): commas, quotes and line breaks
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Creates a log history
+ *
+ * @param {Object} [options]
+ * @param {number} [options.capacity=1000] - How many entries to keep in memory
+ * @param {string} [options.file] - Append every entry to this NDJSON file (and reload it on start)
+ * @param {Object} [options.levels] - Severity order for `minLevel` queries
+ * @returns {Object} The history
+ *
+ * @example
+ * const history = createLogHistory({ capacity: 500, file: 'logs/history.ndjson' });
+ * history.add({ level: 'error', message: 'Payment failed', fields: { orderId: 7 } });
+ * history.query({ minLevel: 'warn', since: Date.now() - 60 * 60 * 1000, limit: 50 });
+ * history.export('csv', { text: 'payment' });
+ */
+function createLogHistory(options = {}) {
+  const levels = { ...DEFAULT_LEVELS, ...options.levels };
+  const buffer = createRingBuffer(options.capacity || 1000);
+  const file = options.file ? path.resolve(options.file) : null;
+  let nextId = 1;
+
+  // Reload the most recent entries from the store
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    if (fs.existsSync(file)) {
+      readLastLines(file, buffer.capacity).forEach((line) => {
+        try {
+          const entry = JSON.parse(line);
+          buffer.push(entry);
+          if (entry.id >= nextId) nextId = entry.id + 1;
+        } catch (error) {
+          // A line cut short by a crash is skipped instead of breaking the history
+        }
+      });
+    }
+  }
+
+  /**
+   * Finds entries matching a filter
+   *
+   * @param {Object} [filter]
+   * @param {string|string[]} [filter.level] - Only these levels
+   * @param {string} [filter.minLevel] - This level and more severe ones ('warn' -> fatal, error, warn)
+   * @param {Date|string|number} [filter.since] - Not before this time
+   * @param {Date|string|number} [filter.until] - Not after this time
+   * @param {string} [filter.text] - Message contains this text (case-insensitive)
+   * @param {RegExp|string} [filter.regex] - Message matches this pattern
+   * @param {'asc'|'desc'} [filter.order='asc'] - Oldest first or newest first
+   * @param {number} [filter.offset=0] - Skip this many matches (pagination)
+   * @param {number} [filter.limit] - Return at most this many matches
+   * @returns {{ total: number, entries: Object[] }} total counts all matches, before pagination
+   */
+  function query(filter = {}) {
+    const wantedLevels = filter.level ? [].concat(filter.level) : null;
+    if (filter.minLevel && !(filter.minLevel in levels)) {
+      throw new TypeError(`Unknown level '${filter.minLevel}'`);
+    }
+    const since = toTime(filter.since);
+    const until = toTime(filter.until);
+    const text = filter.text ? String(filter.text).toLowerCase() : null;
+    const regex = typeof filter.regex === 'string' ? new RegExp(filter.regex) : filter.regex;
+
+    let matches = buffer.toArray().filter((entry) => {
+      if (wantedLevels && !wantedLevels.includes(entry.level)) return false;
+      if (filter.minLevel && !(levels[entry.level] <= levels[filter.minLevel])) return false;
+
+      const time = Date.parse(entry.timestamp);
+      if (since !== null && time < since) return false;
+      if (until !== null && time > until) return false;
+
+      if (text && !entry.message.toLowerCase().includes(text)) return false;
+      if (regex) {
+        regex.lastIndex = 0; // a /g regex remembers where it stopped
+        if (!regex.test(entry.message)) return false;
+      }
+      return true;
+    });
+
+    if (filter.order === 'desc') matches.reverse();
+
+    const total = matches.length;
+    const offset = filter.offset || 0;
+    matches = matches.slice(offset, filter.limit === undefined ? undefined : offset + filter.limit);
+
+    return { total, entries: matches };
+  }
+
+  return {
+    /**
+     * Records an entry
+     *
+     * @param {Object} entry - { level, message, fields?, timestamp? }
+     * @returns {Object} The stored entry, with its id and timestamp
+     */
+    add: function(entry) {
+      const stored = {
+        id: nextId++,
+        timestamp: entry.timestamp || new Date().toISOString(),
+        level: entry.level,
+        message: String(entry.message)
+      };
+      if (entry.fields && Object.keys(entry.fields).length > 0) stored.fields = entry.fields;
+
+      buffer.push(stored);
+      // Synchronous, like the console logging around it: the entry is on disk when add() returns
+      if (file) fs.appendFileSync(file, JSON.stringify(stored) + '\n');
+      return stored;
+    },
+
+    query: query,
+
+    /**
+     * Exports matching entries as text
+     *
+     * @param {'ndjson'|'csv'} format - One JSON object per line, or CSV with a header row
+     * @param {Object} [filter] - Same filter as query()
+     * @returns {string}
+     */
+    export: function(format, filter) {
+      const { entries } = query(filter);
+
+      if (format === 'ndjson') {
+        return entries.map((entry) => JSON.stringify(entry) + '\n').join('');
+      }
+      if (format === 'csv') {
+        const rows = entries.map((entry) =>
+          [entry.id, entry.timestamp, entry.level, entry.message, entry.fields].map(csvField).join(','));
+        return ['id,timestamp,level,message,fields', ...rows].join('\r\n') + '\r\n';
+      }
+      throw new TypeError(`Unknown export format '${format}' (use 'ndjson' or 'csv')`);
+    },
+
+    // Empties the in-memory history; the store is append-only and keeps everything
+    clear: function() {
+      buffer.clear();
+    },
+
+    get size() {
+      return buffer.size;
+    },
+
+    get capacity() {
+      return buffer.capacity;
+    }
+  };
+}
+
+module.exports = {
+  createLogHistory,
+  createRingBuffer,
+  DEFAULT_LEVELS
+};
@@ -10,6 +10,15 @@
  * 3. Revealing Module Pattern: Selectively exposing functions/properties
  */
 
+const util = require('util');
+const { consoleTransport, bufferedTransport } = require('./transports');
+const { createLogHistory, DEFAULT_LEVELS } = require('./log-history');
+const logAnalysis = require('./log-analysis');
+const { createFormatter } = require('./pretty');
+const { getContext } = require('./log-context');
+// Word counting and text statistics from the string-utils package
+const stringUtils = require('../../04-npm-and-packages/creating-package');
+
 /**
  * PATTERN 1: BASIC OBJECT
  * 
@@ -58,73 +67,389 @@ function Logger(name) {
 
 exports.Logger = Logger;
 
+/**
+ * Helpers for structured logging (used by the factory logger below)
+ */
+
+// Keys that are hidden by default; pass `redact` to createLogger to change the list
+const DEFAULT_REDACT = ['password', 'authorization'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Converts an Error into a plain object that survives JSON.stringify
+ * (a plain JSON.stringify(error) gives '{}'). Follows the `cause` chain.
+ *
+ * @param {Error} error - The error to convert
+ * @param {Set} [seen] - Errors already converted (protects against cause loops)
+ * @returns {Object} { type, message, stack, code?, cause?, errors? }
+ */
+function serializeError(error, seen = new Set()) {
+  if (seen.has(error)) return '[Circular]';
+  seen.add(error);
+
+  const result = {
+    type: error.name || 'Error',
+    message: error.message,
+    stack: error.stack
+  };
+
+  // Extra properties such as `code`, `errno` or `statusCode`
+  Object.keys(error).forEach((key) => {
+    if (key !== 'cause' && key !== 'errors') result[key] = error[key];
+  });
+
+  if (error.cause !== undefined) {
+    result.cause = error.cause instanceof Error ? serializeError(error.cause, seen) : error.cause;
+  }
+  // AggregateError (e.g. from Promise.any) carries a list of errors
+  if (Array.isArray(error.errors)) {
+    result.errors = error.errors.map((inner) => (inner instanceof Error ? serializeError(inner, seen) : inner));
+  }
+
+  return result;
+}
+
+/**
+ * Copies log fields, serializing Errors and hiding sensitive keys at any depth
+ *
+ * @param {*} value - The value to copy
+ * @param {Set<string>} redact - Lower-case key names to hide
+ * @param {WeakSet} [seen] - Objects on the current path (protects against circular references)
+ */
+function prepareValue(value, redact, seen = new WeakSet()) {
+  if (value instanceof Error) return prepareValue(serializeError(value), redact, seen);
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.toJSON === 'function') return value.toJSON();
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map((item) => prepareValue(item, redact, seen));
+  } else {
+    result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = redact.has(key.toLowerCase()) ? REDACTED : prepareValue(value[key], redact, seen);
+    });
+  }
+
+  // Only ancestors count as circular; the same object may appear twice side by side
+  seen.delete(value);
+  return result;
+}
+
+// Logger methods that a custom level must not replace
+const RESERVED_METHODS = [
+  'child', 'getBindings', 'setLevel', 'getLevel', 'isLevelEnabled',
+  'addTransport', 'flush', 'close', 'getLogCount', 'getName'
+];
+
+/**
+ * Parses a level specification like the LOG_LEVEL environment variable
+ *
+ *   'debug'                    -> every logger logs at debug
+ *   'db:*=debug,http=warn'     -> loggers named db:<anything> at debug, 'http' at warn
+ *   'warn,db:*=trace'          -> warn by default, trace for the db loggers
+ *
+ * `*` matches any characters, like the DEBUG variable of the debug package.
+ * When several patterns match a logger name, the last one wins.
+ *
+ * @param {string} spec - The specification
+ * @returns {Object[]} Rules: { pattern, regex, level }
+ */
+function parseLevelSpec(spec) {
+  if (!spec) return [];
+
+  return String(spec).split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const index = entry.lastIndexOf('=');
+      const pattern = index === -1 ? '*' : entry.slice(0, index).trim();
+      const level = (index === -1 ? entry : entry.slice(index + 1)).trim().toLowerCase();
+      const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return { pattern, regex: new RegExp(`^${source}$`), level };
+    });
+}
+
+// Namespace rules shared by every factory logger (from LOG_LEVEL, or changed with setLevels())
+let levelRules = parseLevelSpec(process.env.LOG_LEVEL);
+// Bumped on every change so loggers know their cached level is stale
+let levelRulesVersion = 0;
+
+/**
+ * Replaces the namespace level rules of all factory loggers at runtime
+ *
+ * Loggers pick up the change on their next message, no restart needed.
+ * Wire it to an admin endpoint or a signal to raise verbosity in production:
+ *
+ *   process.on('SIGUSR2', () => setLevels(fs.readFileSync('log-level.txt', 'utf8')));
+ *
+ * @param {string} spec - Same format as LOG_LEVEL, e.g. 'db:*=debug,http=warn' ('' resets)
+ */
+exports.setLevels = function(spec) {
+  levelRules = parseLevelSpec(spec);
+  levelRulesVersion++;
+};
+
+// Returns the active namespace rules as a LOG_LEVEL-style string
+exports.getLevels = function() {
+  return levelRules.map((rule) => `${rule.pattern}=${rule.level}`).join(',');
+};
+
+exports.parseLevelSpec = parseLevelSpec;
+exports.levels = { ...DEFAULT_LEVELS };
+
 /**
  * PATTERN 3: FACTORY FUNCTION
  * 
  * Export a function that creates and returns objects.
  * Allows for private variables through closures.
  * This is often preferred over constructors in modern JavaScript.
+ *
+ * Where the messages go is decided by "transports" (see transports.js).
+ * Without any, the logger writes to the console like before.
+ *
+ * Every message becomes a structured record. Besides a message, a call can
+ * pass fields and errors:
+ *
+ *   log.info('Server started');
+ *   log.info({ userId: 42 }, 'User logged in');
+ *   log.error(error, 'Payment failed');        // error is serialized with its cause chain
+ *   log.info('Listening on port %d', 3000);    // util.format placeholders
+ *
+ * The level that applies is, from strongest to weakest:
+ *   1. setLevel('debug') at runtime, on this logger or the nearest parent that has one
+ *   2. A matching namespace rule from LOG_LEVEL / setLevels() (e.g. 'db:*=debug')
+ *   3. options.level
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name='DefaultLogger'] - Shown in every message; also the namespace for LOG_LEVEL
+ * @param {string} [options.level='info'] - Minimum level for the whole logger
+ * @param {Object} [options.levels] - Extra levels, e.g. { notice: 2.5 } (between warn and info)
+ * @param {Object[]} [options.transports] - Where to write; each may have its own minimum level
+ * @param {Object} [options.fields] - Fields added to every record (e.g. { service: 'api' })
+ * @param {string[]} [options.redact=['password', 'authorization']] - Keys whose values are hidden
+ * @param {boolean} [options.context=true] - Add the fields of the current log context (see log-context.js)
+ * @param {boolean|Object} [options.buffer] - Buffer records and write them in batches
+ *   (true, or the options of bufferedTransport() in transports.js)
+ *
+ * @example
+ * const log = createLogger({
+ *   name: 'App',
+ *   level: 'debug',
+ *   transports: [
+ *     consoleTransport(),
+ *     rotatingFileTransport({ filename: 'logs/errors.log', level: 'error', maxSize: 1024 * 1024 })
+ *   ]
+ * });
  */
 exports.createLogger = function(options = {}) {
   // Private variables (not accessible outside this function)
   const name = options.name || 'DefaultLogger';
-  const level = options.level || 'info';
+  const redact = new Set((options.redact || DEFAULT_REDACT).map((key) => key.toLowerCase()));
+  const useContext = options.context !== false;
   let logCount = 0;
   
   // Levels and their numeric values for comparison
-  const levels = {
-    error: 0,
-    warn: 1,
-    info: 2,
-    debug: 3
-  };
+  const levels = { ...DEFAULT_LEVELS, ...options.levels };
+  
+  Object.keys(levels).forEach((levelName) => {
+    if (typeof levels[levelName] !== 'number' || Number.isNaN(levels[levelName])) {
+      throw new TypeError(`Level '${levelName}' needs a numeric value`);
+    }
+    if (RESERVED_METHODS.includes(levelName)) {
+      throw new TypeError(`'${levelName}' can't be used as a level name`);
+    }
+  });
+  
+  function checkLevel(level) {
+    if (!(level in levels)) {
+      throw new TypeError(`Unknown level '${level}' (known levels: ${Object.keys(levels).join(', ')})`);
+    }
+    return level;
+  }
+  
+  const baseLevel = checkLevel(options.level || 'info');
   
   // Private function
-  function shouldLog(messageLevel) {
-    return levels[messageLevel] <= levels[level];
+  function shouldLog(messageLevel, minimumLevel) {
+    return levels[messageLevel] <= levels[minimumLevel];
   }
   
-  // Return an object with public methods only
-  return {
-    // Public methods that can access private variables
-    debug: function(message) {
-      if (shouldLog('debug')) {
-        logCount++;
-        console.log(`[${name}] [DEBUG] ${message}`);
-      }
-    },
+  // In buffered (async) mode every transport is wrapped in a buffer
+  const bufferOptions = options.buffer === true ? {} : options.buffer;
+  
+  function checkTransport(transport) {
+    if (!transport || typeof transport.log !== 'function') {
+      throw new TypeError('A transport needs a log(record) method');
+    }
+    if (transport.level) checkLevel(transport.level);
+    return bufferOptions ? bufferedTransport(transport, bufferOptions) : transport;
+  }
+  
+  const transports = (options.transports || [consoleTransport()]).map(checkTransport);
+  
+  /**
+   * Works out the level for a namespace; cached until setLevels() changes the rules
+   */
+  function createLevelResolver(namespace, getOverride) {
+    let cachedVersion = -1;
+    let cachedLevel = baseLevel;
     
-    info: function(message) {
-      if (shouldLog('info')) {
-        logCount++;
-        console.log(`[${name}] [INFO] ${message}`);
+    return function() {
+      const override = getOverride();
+      if (override) return override;
+      if (cachedVersion !== levelRulesVersion) {
+        cachedVersion = levelRulesVersion;
+        cachedLevel = baseLevel;
+        // Rules naming a level this logger doesn't know are skipped
+        levelRules.forEach((rule) => {
+          if (rule.regex.test(namespace) && rule.level in levels) cachedLevel = rule.level;
+        });
       }
-    },
+      return cachedLevel;
+    };
+  }
+  
+  /**
+   * Builds a record from the arguments of log.info(...) and friends
+   * (fields?, message?, ...format arguments)
+   */
+  function createRecord(messageLevel, namespace, bindings, args) {
+    let fields = {};
     
-    warn: function(message) {
-      if (shouldLog('warn')) {
-        logCount++;
-        console.warn(`[${name}] [WARN] ${message}`);
-      }
-    },
+    if (args[0] instanceof Error) {
+      const error = args.shift();
+      fields = { err: error };
+      // log.error(error) uses the error message as the log message
+      if (args.length === 0) args.push(error.message);
+    } else if (args[0] !== null && typeof args[0] === 'object') {
+      fields = args.shift();
+    }
+    
+    const record = {
+      timestamp: new Date().toISOString(),
+      level: messageLevel,
+      name: namespace,
+      message: args.length ? util.format(...args) : ''
+    };
+    
+    // Context fields (e.g. the request ID, see log-context.js), then bound, then per-call fields;
+    // none of them can overwrite the core keys above
+    const context = useContext ? getContext() : {};
+    const extra = prepareValue({ ...context, ...bindings, ...fields }, redact);
+    Object.keys(extra).forEach((key) => {
+      if (!(key in record)) record[key] = extra[key];
+    });
     
-    error: function(message) {
-      if (shouldLog('error')) {
-        logCount++;
-        console.error(`[${name}] [ERROR] ${message}`);
+    return record;
+  }
+  
+  // Hands one record to every transport whose own level allows it
+  function write(messageLevel, namespace, bindings, args) {
+    logCount++;
+    
+    const record = createRecord(messageLevel, namespace, bindings, args);
+    
+    transports.forEach((transport) => {
+      if (!transport.level || shouldLog(messageLevel, transport.level)) {
+        transport.log(record);
       }
-    },
+    });
+  }
+  
+  /**
+   * Creates the public logger object for a namespace and a set of bound fields
+   * The root logger and all its children share the transports and count.
+   * Each one has its own setLevel() override; without one it uses its parent's.
+   *
+   * @param {Function} parentOverride - Returns the override that applies to the parent (or null)
+   */
+  function build(namespace, bindings, parentOverride) {
+    // Set by setLevel(); wins over LOG_LEVEL rules and options.level
+    let levelOverride = null;
+    const getOverride = () => levelOverride || parentOverride();
+    const currentLevel = createLevelResolver(namespace, getOverride);
     
-    getLogCount: function() {
-      return logCount;
-    },
+    // Return an object with public methods only
+    const logger = {
+      /**
+       * Creates a logger that adds `fields` to every record
+       * const requestLog = log.child({ requestId: 'abc' });
+       * requestLog.info('Handling request'); // record includes requestId
+       *
+       * Pass { name } as the second argument to log under a sub-namespace:
+       * const queryLog = dbLog.child({}, { name: 'db:query' });
+       */
+      child: function(fields, childOptions = {}) {
+        return build(childOptions.name || namespace, { ...bindings, ...fields }, getOverride);
+      },
+      
+      // The fields this logger adds to every record
+      getBindings: function() {
+        return { ...bindings };
+      },
+      
+      /**
+       * Changes the level at runtime, for this logger and all its children
+       * log.setLevel('debug'); ... log.setLevel(null); // back to LOG_LEVEL/options.level
+       */
+      setLevel: function(level) {
+        levelOverride = level === null ? null : checkLevel(level);
+      },
+      
+      // The level that currently applies to this logger
+      getLevel: function() {
+        return currentLevel();
+      },
+      
+      // Lets callers skip building expensive messages: if (log.isLevelEnabled('debug')) ...
+      isLevelEnabled: function(level) {
+        return shouldLog(checkLevel(level), currentLevel());
+      },
+      
+      // Attaches another transport, e.g. a file once the config is loaded
+      addTransport: function(transport) {
+        transports.push(checkTransport(transport));
+      },
+      
+      // Writes out buffered records right away (only needed with options.buffer)
+      flush: function() {
+        transports.forEach((transport) => {
+          if (typeof transport.flush === 'function') transport.flush();
+        });
+      },
+      
+      // Flushes and closes files and sockets held by the transports
+      close: function() {
+        transports.forEach((transport) => {
+          if (typeof transport.close === 'function') transport.close();
+        });
+      },
+      
+      getLogCount: function() {
+        return logCount;
+      },
+      
+      getName: function() {
+        return namespace;
+      },
+      
+      // We don't expose a way to modify the private variables directly
+    };
     
-    getName: function() {
-      return name;
-    },
+    // One public method per level: log.fatal(), log.error(), ... log.trace(), plus custom levels
+    Object.keys(levels).forEach((levelName) => {
+      logger[levelName] = function(...args) {
+        if (shouldLog(levelName, currentLevel())) write(levelName, namespace, bindings, args);
+      };
+    });
     
-    // We don't expose a way to modify the private variables directly
-  };
+    return logger;
+  }
+  
+  return build(name, { ...options.fields }, () => null);
 };
 
 /**
@@ -132,42 +457,77 @@ exports.createLogger = function(options = {}) {
  * 
  * Export a single instance of an object.
  * Useful when you want exactly one instance across your application.
+ *
+ * The instance keeps a history of recent messages (see log-history.js):
+ * a bounded ring buffer, optionally backed by an append-only file, that
+ * can be queried and exported, e.g. to attach recent logs to a bug report.
  */
 exports.singleton = (function() {
   // Private variables and functions
   let instance;
-  let logHistory = [];
   
-  function initialize() {
+  function initialize(options) {
+    const history = createLogHistory({
+      capacity: options.capacity || 1000,
+      file: options.file
+    });
+    
     // Private methods
-    function formatMessage(level, message) {
-      return `[${level.toUpperCase()}] [${new Date().toISOString()}] ${message}`;
+    function formatEntry(entry) {
+      return `[${entry.level.toUpperCase()}] [${entry.timestamp}] ${entry.message}`;
     }
     
     // Public interface
     return {
-      log: function(level, message) {
-        const formattedMessage = formatMessage(level, message);
-        logHistory.push(formattedMessage);
-        console.log(formattedMessage);
+      /**
+       * Logs a message and records it in the history
+       * @param {string} level - e.g. 'info'
+       * @param {string} message - The message
+       * @param {Object} [fields] - Extra structured data stored with the entry
+       */
+      log: function(level, message, fields) {
+        const entry = history.add({ level, message, fields });
+        console.log(formatEntry(entry));
       },
       
+      // The recent messages as formatted strings, oldest first
       getHistory: function() {
-        return [...logHistory]; // Return a copy to prevent direct modification
+        return history.query().entries.map(formatEntry); // A copy, to prevent direct modification
+      },
+      
+      /**
+       * Finds structured entries, e.g. the last 20 warnings and errors:
+       * query({ minLevel: 'warn', order: 'desc', limit: 20 })
+       * See createLogHistory() in log-history.js for all filters.
+       */
+      query: function(filter) {
+        return history.query(filter);
+      },
+      
+      // Exports entries as 'ndjson' or 'csv', with the same filters as query()
+      exportHistory: function(format, filter) {
+        return history.export(format, filter);
       },
       
       clearHistory: function() {
-        logHistory = [];
+        history.clear();
         return 'Log history cleared';
       }
     };
   }
   
   return {
-    // This ensures only one instance is created
-    getInstance: function() {
+    /**
+     * This ensures only one instance is created
+     * Options only apply to the first call, which creates the instance.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.capacity=1000] - How many entries to keep in memory
+     * @param {string} [options.file] - Also append every entry to this NDJSON file
+     */
+    getInstance: function(options = {}) {
       if (!instance) {
-        instance = initialize();
+        instance = initialize(options);
       }
       return instance;
     }
@@ -191,28 +551,49 @@ exports.logUtils = {
       });
     },
     
-    withColor: function(level, message) {
-      const colors = {
-        error: '\x1b[31m', // Red
-        warn: '\x1b[33m',  // Yellow
-        info: '\x1b[36m',  // Cyan
-        debug: '\x1b[90m', // Gray
-        reset: '\x1b[0m'   // Reset
-      };
-      
-      return `${colors[level] || ''}[${level.toUpperCase()}] ${message}${colors.reset}`;
-    }
+    // Error -> plain object with type, message, stack and cause chain
+    serializeError: serializeError,
+    
+    /**
+     * Colors a message by level using a theme from pretty.js
+     * Colors are only added on a terminal, and never when NO_COLOR is set
+     * (FORCE_COLOR=1 forces them, e.g. in CI logs).
+     *
+     * @param {string} level - e.g. 'error'
+     * @param {string} message - The message
+     * @param {Object} [options] - createFormatter() options, e.g. { theme: 'light', colors: true }
+     */
+    withColor: function(level, message, options) {
+      const { paint } = createFormatter(options);
+      return paint(level, `[${level.toUpperCase()}] ${message}`);
+    },
+    
+    // Full pretty-printer for records: themes, timestamps, fields and errors (see pretty.js)
+    createFormatter: createFormatter
   },
   
   // Analysis submodule
   analysis: {
-    countWords: function(message) {
-      return message.split(/\s+/).length;
+    // Works for any language, e.g. countWords('接続に失敗しました', { locale: 'ja' })
+    countWords: function(message, options) {
+      return stringUtils.countWords(message, options);
     },
     
+    // Words, sentences, characters, reading time and readability (see the string-utils package)
+    textStats: stringUtils.textStats,
+    
     hasError: function(message) {
       return /error|fail|exception/i.test(message);
-    }
+    },
+    
+    // Whole-file analysis: level counts, error rates, message templates, bursts
+    // (see log-analysis.js, which also works as a command line tool)
+    toTemplate: logAnalysis.toTemplate,
+    parseLine: logAnalysis.parseLine,
+    createAnalyzer: logAnalysis.createAnalyzer,
+    analyzeStream: logAnalysis.analyzeStream,
+    analyzeFile: logAnalysis.analyzeFile,
+    formatReport: logAnalysis.formatReport
   }
 };
 
@@ -0,0 +1,436 @@
+// pretty.js - Human-friendly, themeable log formatting (API and command line tool)
+
+/**
+ * JSON logs are great for machines and hard on the eyes. This module turns
+ * log records into colored, indented text for a developer's terminal.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. ANSI escape codes: '\x1b[31m' switches to red, '\x1b[39m' back to the default
+ * 2. When to use color: only on a terminal (TTY), never when NO_COLOR is set,
+ *    always when FORCE_COLOR is set (https://no-color.org, https://force-color.org)
+ * 3. Themes: colors are looked up by role (level, key, string...), not hard-coded
+ * 4. Code frames: show the source line where an error was thrown
+ *
+ * Run it from the command line to pretty-print NDJSON logs:
+ *   node app.js | node pretty.js
+ *   node pretty.js --theme light --time time < app.ndjson
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+// ANSI styles: [code that turns it on, code that turns it off]
+const STYLES = {
+  bold: [1, 22],
+  dim: [2, 22],
+  italic: [3, 23],
+  underline: [4, 24],
+  inverse: [7, 27],
+  black: [30, 39],
+  red: [31, 39],
+  green: [32, 39],
+  yellow: [33, 39],
+  blue: [34, 39],
+  magenta: [35, 39],
+  cyan: [36, 39],
+  white: [37, 39],
+  gray: [90, 39],
+  bgRed: [41, 49],
+  bgYellow: [43, 49]
+};
+
+/**
+ * Themes map a role to a list of styles
+ * Roles: one per level, plus timestamp, name, message, key, string, number,
+ * boolean, null, punctuation, errorType, stack, frame (the highlighted app frame)
+ * and gutter (line numbers in code frames).
+ */
+const THEMES = {
+  // For dark terminal backgrounds
+  default: {
+    fatal: ['bgRed', 'white', 'bold'],
+    error: ['red', 'bold'],
+    warn: ['yellow', 'bold'],
+    info: ['cyan'],
+    debug: ['gray'],
+    trace: ['dim'],
+    timestamp: ['gray'],
+    name: ['magenta'],
+    message: [],
+    key: ['blue'],
+    string: ['green'],
+    number: ['yellow'],
+    boolean: ['yellow'],
+    null: ['dim'],
+    punctuation: ['gray'],
+    errorType: ['red', 'bold'],
+    stack: ['gray'],
+    frame: ['white', 'bold'],
+    gutter: ['gray']
+  },
+
+  // For light terminal backgrounds: no white or yellow text
+  light: {
+    fatal: ['bgRed', 'white', 'bold'],
+    error: ['red', 'bold'],
+    warn: ['magenta', 'bold'],
+    info: ['blue'],
+    debug: ['gray'],
+    trace: ['dim'],
+    timestamp: ['gray'],
+    name: ['cyan'],
+    message: [],
+    key: ['blue'],
+    string: ['green'],
+    number: ['magenta'],
+    boolean: ['magenta'],
+    null: ['dim'],
+    punctuation: ['gray'],
+    errorType: ['red', 'bold'],
+    stack: ['gray'],
+    frame: ['black', 'bold'],
+    gutter: ['gray']
+  },
+
+  // Emphasis only: works on any background and in most screen readers' terminals
+  mono: {
+    fatal: ['inverse', 'bold'],
+    error: ['bold'],
+    warn: ['bold'],
+    info: [],
+    debug: ['dim'],
+    trace: ['dim'],
+    timestamp: ['dim'],
+    name: ['underline'],
+    message: [],
+    key: ['bold'],
+    string: [],
+    number: [],
+    boolean: [],
+    null: ['dim'],
+    punctuation: ['dim'],
+    errorType: ['bold'],
+    stack: ['dim'],
+    frame: ['bold'],
+    gutter: ['dim']
+  }
+};
+
+/**
+ * Decides whether to write colors to a stream
+ *
+ * 1. FORCE_COLOR=0 / false disables colors, any other value enables them
+ * 2. NO_COLOR with any non-empty value disables colors
+ * 3. Otherwise: colors on a terminal (TTY), except TERM=dumb
+ *
+ * @param {stream.Writable} [stream=process.stdout] - Where the output goes
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {boolean}
+ */
+function supportsColor(stream = process.stdout, env = process.env) {
+  if ('FORCE_COLOR' in env) {
+    return !['0', 'false'].includes(String(env.FORCE_COLOR).toLowerCase());
+  }
+  if (env.NO_COLOR) return false;
+  if (env.TERM === 'dumb') return false;
+  return Boolean(stream && stream.isTTY);
+}
+
+/**
+ * Formats a date for the `timestamp` option
+ * 'iso' (2024-01-01T12:00:00.000Z), 'time' (12:00:00.000, local time),
+ * 'epoch' (milliseconds), 'relative' (+1.250s since the first record) or 'none'
+ */
+function createTimestampFormatter(format) {
+  if (typeof format === 'function') return format;
+
+  let first = null;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  switch (format || 'iso') {
+    case 'iso':
+      return (date) => date.toISOString();
+    case 'time':
+      return (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    case 'epoch':
+      return (date) => String(date.getTime());
+    case 'relative':
+      return (date) => {
+        if (first === null) first = date.getTime();
+        return `+${((date.getTime() - first) / 1000).toFixed(3)}s`;
+      };
+    case 'none':
+      return null;
+    default:
+      throw new TypeError(`Unknown timestamp format '${format}' (use iso, time, epoch, relative or none)`);
+  }
+}
+
+// One stack frame: '    at handler (/app/server.js:10:5)' or '    at /app/server.js:10:5'
+const FRAME = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+function isAppFrame(file) {
+  return !file.startsWith('node:') && !file.includes('node_modules') && !file.startsWith('internal/');
+}
+
+// Source files read for code frames, so a stack with 20 frames in one file reads it once
+const sourceCache = new Map();
+
+function readSourceLines(file) {
+  if (!sourceCache.has(file)) {
+    let lines = null;
+    try {
+      lines = fs.readFileSync(file.replace(/^file:\/\//, ''), 'utf8').split(/\r?\n/);
+    } catch (error) {
+      // The file may not exist on this machine (logs from another server)
+    }
+    sourceCache.set(file, lines);
+  }
+  return sourceCache.get(file);
+}
+
+/**
+ * Creates a formatter
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.theme='default'] - 'default', 'light', 'mono' or a custom theme object
+ * @param {boolean|'auto'} [options.colors='auto'] - 'auto' uses supportsColor(options.stream)
+ * @param {stream.Writable} [options.stream=process.stdout] - Used for color detection
+ * @param {string|Function} [options.timestamp='iso'] - 'iso', 'time', 'epoch', 'relative', 'none' or date => string
+ * @param {boolean} [options.singleLine=false] - Put fields on the same line as key=value
+ * @param {boolean} [options.codeFrame=true] - Show the source around the first app frame of an error
+ * @param {number} [options.depth=4] - How deep to print nested objects
+ * @returns {Function} format(record) => string
+ *
+ * @example
+ * const format = createFormatter({ theme: 'light', timestamp: 'time' });
+ * console.log(format({ timestamp: new Date().toISOString(), level: 'info', name: 'App', message: 'Hi', userId: 42 }));
+ */
+function createFormatter(options = {}) {
+  const base = typeof options.theme === 'object' ? options.theme : THEMES[options.theme || 'default'];
+  if (!base) throw new TypeError(`Unknown theme '${options.theme}' (use ${Object.keys(THEMES).join(', ')})`);
+  // A custom theme only needs the roles it changes
+  const theme = { ...THEMES.default, ...base };
+
+  const colors = options.colors === undefined || options.colors === 'auto' ?
+    supportsColor(options.stream || process.stdout) : Boolean(options.colors);
+  const formatTimestamp = createTimestampFormatter(options.timestamp);
+  const depth = options.depth === undefined ? 4 : options.depth;
+  const showCodeFrame = options.codeFrame !== false;
+  const indent = '    ';
+
+  // Wraps text in the styles of a theme role
+  function paint(role, text) {
+    if (!colors) return text;
+    const styles = theme[role] || [];
+    return styles.reduce((result, style) => {
+      const codes = STYLES[style];
+      return codes ? `\x1b[${codes[0]}m${result}\x1b[${codes[1]}m` : result;
+    }, text);
+  }
+
+  // 'key: value', or 'key:' followed by the indented lines of a nested object
+  function labeled(key, text) {
+    const label = `${paint('key', key)}${paint('punctuation', ':')}`;
+    return text.startsWith('\n') ? label + text : `${label} ${text}`;
+  }
+
+  function isSerializedError(value) {
+    return value instanceof Error ||
+      (value && typeof value === 'object' && typeof value.message === 'string' && typeof value.stack === 'string');
+  }
+
+  // A few lines of source around line:column, with the line itself marked
+  function codeFrame(file, line, column, prefix) {
+    const lines = readSourceLines(file);
+    if (!lines || !lines[line - 1]) return [];
+
+    const first = Math.max(1, line - 2);
+    const last = Math.min(lines.length, line + 2);
+    const width = String(last).length;
+    const result = [];
+
+    for (let number = first; number <= last; number++) {
+      const marker = number === line ? '>' : ' ';
+      const gutter = paint('gutter', `${marker} ${String(number).padStart(width)} |`);
+      result.push(`${prefix}${gutter} ${number === line ? lines[number - 1] : paint('stack', lines[number - 1])}`);
+      if (number === line) {
+        const caretGutter = paint('gutter', `  ${' '.repeat(width)} |`);
+        result.push(`${prefix}${caretGutter} ${' '.repeat(Math.max(0, column - 1))}${paint('errorType', '^')}`);
+      }
+    }
+    return result;
+  }
+
+  function formatError(error, prefix, seen) {
+    const type = error.type || error.name || 'Error';
+    const lines = [`${paint('errorType', type)}: ${error.message}`];
+    let highlighted = false;
+
+    String(error.stack || '').split('\n').slice(1).forEach((frameLine) => {
+      const match = FRAME.exec(frameLine);
+      if (!match) return;
+
+      const file = match[2];
+      // The first frame in our own code is usually where to start looking
+      if (!highlighted && isAppFrame(file)) {
+        highlighted = true;
+        lines.push(`${prefix}${paint('frame', frameLine.trim())}`);
+        if (showCodeFrame) lines.push(...codeFrame(file, Number(match[3]), Number(match[4]), prefix + '  '));
+      } else {
+        lines.push(`${prefix}${paint('stack', frameLine.trim())}`);
+      }
+    });
+
+    // Other properties such as `code`, then the cause chain
+    Object.keys(error).forEach((key) => {
+      if (['type', 'name', 'message', 'stack', 'cause'].includes(key)) return;
+      lines.push(prefix + labeled(key, formatValue(error[key], prefix + indent, 1, seen)));
+    });
+    if (error.cause !== undefined) {
+      const cause = isSerializedError(error.cause) ?
+        formatError(error.cause, prefix + indent, seen) : formatValue(error.cause, prefix + indent, 1, seen);
+      lines.push(prefix + labeled('cause', cause));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Pretty-prints a value; objects become indented 'key: value' lines
+   */
+  function formatValue(value, prefix, level, seen = new Set()) {
+    if (value === null || value === undefined) return paint('null', String(value));
+    if (typeof value === 'string') return paint('string', value.includes('\n') ? JSON.stringify(value) : value);
+    if (typeof value === 'number' || typeof value === 'bigint') return paint('number', String(value));
+    if (typeof value === 'boolean') return paint('boolean', String(value));
+    if (typeof value !== 'object') return String(value);
+    if (seen.has(value)) return paint('null', '[Circular]');
+    if (isSerializedError(value)) return formatError(value, prefix, seen);
+    if (value instanceof Date) return paint('string', value.toISOString());
+
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (entries.length === 0) return paint('punctuation', Array.isArray(value) ? '[]' : '{}');
+    if (level > depth) return paint('punctuation', Array.isArray(value) ? '[Array]' : '[Object]');
+
+    seen.add(value);
+    const lines = entries.map(([key, item]) => {
+      const text = formatValue(item, prefix + indent, level + 1, seen);
+      return prefix + (Array.isArray(value) ? `${paint('punctuation', '-')} ${text}` : labeled(String(key), text));
+    });
+    seen.delete(value);
+
+    return '\n' + lines.join('\n');
+  }
+
+  // key=value for singleLine mode; objects stay JSON so the line stays short
+  function formatInline(key, value) {
+    let text;
+    if (typeof value === 'string') text = paint('string', /\s/.test(value) ? JSON.stringify(value) : value);
+    else if (value !== null && typeof value === 'object') text = paint('string', JSON.stringify(value));
+    else text = formatValue(value, '', 1);
+    return `${paint('key', key)}${paint('punctuation', '=')}${text}`;
+  }
+
+  /**
+   * Formats one record: { timestamp, level, name, message, ...fields }
+   */
+  function format(record) {
+    const level = String(record.level || 'info').toLowerCase();
+    const parts = [];
+
+    if (formatTimestamp && record.timestamp) {
+      const date = new Date(record.timestamp);
+      parts.push(paint('timestamp', Number.isNaN(date.getTime()) ? String(record.timestamp) : formatTimestamp(date)));
+    }
+    // Pad to the longest level name so messages line up
+    parts.push(paint(level in theme ? level : 'info', level.toUpperCase().padEnd(5)));
+    if (record.name) parts.push(paint('name', `[${record.name}]`));
+    parts.push(paint('message', String(record.message === undefined ? '' : record.message)));
+
+    const fields = Object.keys(record).filter((key) => !['timestamp', 'level', 'name', 'message'].includes(key));
+    let output = parts.join(' ');
+
+    fields.forEach((key) => {
+      const value = record[key];
+      if (options.singleLine && !isSerializedError(value)) {
+        output += ' ' + formatInline(key, value);
+      } else {
+        output += `\n${indent}${labeled(key, formatValue(value, indent + indent, 1))}`;
+      }
+    });
+
+    return output;
+  }
+
+  format.paint = paint;
+  format.colors = colors;
+  return format;
+}
+
+/**
+ * Command line entry point: pretty-prints NDJSON from stdin
+ * Lines that are not JSON objects are printed unchanged.
+ */
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      theme: { type: 'string', default: 'default' },
+      time: { type: 'string', default: 'iso' },
+      'single-line': { type: 'boolean', default: false },
+      'no-code-frame': { type: 'boolean', default: false },
+      color: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node pretty.js [--theme default|light|mono] [--time iso|time|epoch|relative|none]');
+    console.log('                      [--single-line] [--no-code-frame] [--color] < app.ndjson');
+    return;
+  }
+
+  const format = createFormatter({
+    theme: values.theme,
+    timestamp: values.time,
+    singleLine: values['single-line'],
+    codeFrame: !values['no-code-frame'],
+    colors: values.color === undefined ? 'auto' : values.color,
+    stream: process.stdout
+  });
+
+  // `node pretty.js < app.ndjson | head` closes the pipe early; that is not an error
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    let record = null;
+    if (line.trim().startsWith('{')) {
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // Not JSON, print as it is
+      }
+    }
+    process.stdout.write((record && typeof record === 'object' ? format(record) : line) + '\n');
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`pretty: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createFormatter,
+  supportsColor,
+  THEMES,
+  STYLES
+};
@@ -0,0 +1,620 @@
+// transports.js - Pluggable log destinations for createLogger
+
+/**
+ * A "transport" is where log records go: the console, a file, a stream, a
+ * syslog server... The logger decides WHAT to log, transports decide WHERE.
+ *
+ * Every transport is a plain object created by a factory function:
+ *
+ *   {
+ *     name: 'file',
+ *     level: 'warn',            // optional minimum level for this transport
+ *     log: function(record) {}, // write one record
+ *     logBatch: function(records) {}, // optional: write many records at once
+ *     close: function() {}      // optional: release files/sockets
+ *   }
+ *
+ * A record looks like: { timestamp, level, name, message, ...fields }
+ * where the fields come from child() bindings and logger.info({ userId }, 'msg').
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Factory functions: each call creates an independent transport
+ * 2. A common interface: the logger does not care which transport it talks to
+ * 3. Per-transport levels: errors to a file, everything to the console
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const dgram = require('dgram');
+const net = require('net');
+const { createFormatter } = require('./pretty');
+
+// Keys every record has; everything else is a structured field
+const CORE_KEYS = ['timestamp', 'level', 'name', 'message'];
+
+/**
+ * Returns the structured fields of a record as a JSON suffix (or '' when there are none)
+ * ' {"userId":42}'
+ */
+function fieldsSuffix(record) {
+  const fields = {};
+  let hasFields = false;
+
+  Object.keys(record).forEach((key) => {
+    if (CORE_KEYS.includes(key)) return;
+    fields[key] = record[key];
+    hasFields = true;
+  });
+
+  return hasFields ? ` ${JSON.stringify(fields)}` : '';
+}
+
+/**
+ * Default text format: "2024-01-01T12:00:00.000Z [App] [INFO] message {"userId":42}"
+ */
+function formatLine(record) {
+  return `${record.timestamp} [${record.name}] [${record.level.toUpperCase()}] ${record.message}${fieldsSuffix(record)}`;
+}
+
+/**
+ * JSON format: one object per line (NDJSON), easy to ship to log collectors
+ * {"timestamp":"...","level":"info","name":"App","message":"...","userId":42}
+ */
+function formatJson(record) {
+  return JSON.stringify(record);
+}
+
+/**
+ * Turns the `format` option into a function: 'json', 'text', 'pretty' or a custom record => string
+ * 'pretty' uses the themeable formatter from pretty.js (colors only on a terminal).
+ */
+function resolveFormat(format, fallback, stream) {
+  if (!format || format === 'text') return fallback;
+  if (format === 'json') return formatJson;
+  // Files never get colors; streams and the console only when they are a terminal
+  if (format === 'pretty') return createFormatter(stream ? { stream } : { colors: false });
+  if (typeof format === 'function') return format;
+  throw new TypeError(`Unknown log format '${format}'`);
+}
+
+/**
+ * Writes to the console, using console.error/warn for the matching levels
+ * (this is what createLogger uses when no transports are given)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level for this transport
+ * @param {'text'|'json'|'pretty'|Function} [options.format='text'] - A named format or record => string
+ */
+function consoleTransport(options = {}) {
+  // Without a custom format, keep the classic "[name] [LEVEL] message" output
+  const format = resolveFormat(options.format,
+    (record) => `[${record.name}] [${record.level.toUpperCase()}] ${record.message}${fieldsSuffix(record)}`,
+    process.stdout);
+
+  return {
+    name: 'console',
+    level: options.level,
+    log: function(record) {
+      const line = format(record);
+      if (record.level === 'error' || record.level === 'fatal') console.error(line);
+      else if (record.level === 'warn') console.warn(line);
+      else console.log(line);
+    }
+  };
+}
+
+/**
+ * Appends every record to one file
+ *
+ * Writes are synchronous, just like console.log: nothing is lost if the
+ * process crashes right after logging.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Path of the log file
+ * @param {string} [options.level] - Minimum level for this transport
+ * @param {'text'|'json'|'pretty'|Function} [options.format='text'] - A named format or record => string
+ */
+function fileTransport(options) {
+  if (!options || !options.filename) {
+    throw new TypeError('fileTransport requires a filename');
+  }
+
+  const format = resolveFormat(options.format, formatLine);
+  fs.mkdirSync(path.dirname(options.filename), { recursive: true });
+  let fd = fs.openSync(options.filename, 'a');
+
+  return {
+    name: 'file',
+    level: options.level,
+    log: function(record) {
+      fs.writeSync(fd, format(record) + '\n');
+    },
+    // One system call for a whole batch instead of one per record
+    logBatch: function(records) {
+      fs.writeSync(fd, records.map((record) => format(record) + '\n').join(''));
+    },
+    close: function() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    }
+  };
+}
+
+// Period length for time-based rotation
+const INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Builds the suffix for a rotated file: app.log -> app.log.20240101-120000-000
+ */
+function rotationStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+/**
+ * A file transport that rotates the file by size and/or time and
+ * deletes old files (retention)
+ *
+ * When the active file grows past `maxSize`, or a new hour/day starts, it is
+ * renamed to "<filename>.<timestamp>" and a fresh file is started.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Path of the active log file
+ * @param {number} [options.maxSize] - Rotate once the file would exceed this many bytes
+ * @param {'hourly'|'daily'|number} [options.interval] - Rotate every hour, day or N milliseconds
+ * @param {number} [options.maxFiles] - Keep at most this many rotated files
+ * @param {number} [options.maxAge] - Delete rotated files older than this many milliseconds
+ * @param {string} [options.level] - Minimum level for this transport
+ * @param {'text'|'json'|'pretty'|Function} [options.format='text'] - A named format or record => string
+ * @param {Function} [options.now] - Clock, replaceable in tests
+ */
+function rotatingFileTransport(options) {
+  if (!options || !options.filename) {
+    throw new TypeError('rotatingFileTransport requires a filename');
+  }
+
+  const filename = path.resolve(options.filename);
+  const directory = path.dirname(filename);
+  const baseName = path.basename(filename);
+  const format = resolveFormat(options.format, formatLine);
+  const now = options.now || (() => new Date());
+  const interval = typeof options.interval === 'string' ? INTERVALS[options.interval] : options.interval;
+
+  if (options.interval !== undefined && !interval) {
+    throw new TypeError(`Unknown rotation interval '${options.interval}'`);
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  let fd = fs.openSync(filename, 'a');
+  let size = fs.fstatSync(fd).size;
+  // Which period the current file belongs to (e.g. the current day)
+  let period = interval ? Math.floor(now().getTime() / interval) : null;
+
+  function removeOldFiles() {
+    const rotated = fs.readdirSync(directory)
+      .filter((file) => file.startsWith(baseName + '.'))
+      .sort()
+      .reverse(); // newest first, the timestamp suffix sorts chronologically
+
+    const cutoff = options.maxAge ? now().getTime() - options.maxAge : null;
+
+    rotated.forEach((file, index) => {
+      const fullPath = path.join(directory, file);
+      const tooMany = options.maxFiles !== undefined && index >= options.maxFiles;
+      const tooOld = cutoff !== null && fs.statSync(fullPath).mtimeMs < cutoff;
+      if (tooMany || tooOld) fs.unlinkSync(fullPath);
+    });
+  }
+
+  function rotate() {
+    fs.closeSync(fd);
+
+    let target = `${filename}.${rotationStamp(now())}`;
+    // Two rotations within the same millisecond must not overwrite each other
+    for (let counter = 1; fs.existsSync(target); counter++) {
+      target = `${filename}.${rotationStamp(now())}-${counter}`;
+    }
+
+    fs.renameSync(filename, target);
+    fd = fs.openSync(filename, 'a');
+    size = 0;
+    removeOldFiles();
+  }
+
+  return {
+    name: 'rotating-file',
+    level: options.level,
+    log: function(record) {
+      const line = format(record) + '\n';
+      const bytes = Buffer.byteLength(line);
+
+      const currentPeriod = interval ? Math.floor(now().getTime() / interval) : null;
+      const periodChanged = interval && currentPeriod !== period;
+      const sizeExceeded = options.maxSize && size > 0 && size + bytes > options.maxSize;
+
+      if (periodChanged || sizeExceeded) {
+        rotate();
+        period = currentPeriod;
+      }
+
+      fs.writeSync(fd, line);
+      size += bytes;
+    },
+    // Forces a rotation right now (e.g. from a SIGHUP handler)
+    rotate: function() {
+      rotate();
+    },
+    close: function() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    }
+  };
+}
+
+/**
+ * Writes to any Writable stream (process.stdout, a socket, a gzip stream...)
+ *
+ * @param {Object} options
+ * @param {stream.Writable} options.stream - Where to write
+ * @param {string} [options.level] - Minimum level for this transport
+ * @param {'text'|'json'|'pretty'|Function} [options.format='text'] - A named format or record => string
+ * @param {boolean} [options.end=false] - End the stream when the transport is closed
+ */
+function streamTransport(options) {
+  if (!options || !options.stream || typeof options.stream.write !== 'function') {
+    throw new TypeError('streamTransport requires a writable stream');
+  }
+
+  const format = resolveFormat(options.format, formatLine, options.stream);
+
+  return {
+    name: 'stream',
+    level: options.level,
+    log: function(record) {
+      options.stream.write(format(record) + '\n');
+    },
+    logBatch: function(records) {
+      options.stream.write(records.map((record) => format(record) + '\n').join(''));
+    },
+    close: function() {
+      if (options.end) options.stream.end();
+    }
+  };
+}
+
+const DROP_POLICIES = ['drop-newest', 'drop-oldest', 'block'];
+
+// Flush functions of all open buffered transports, flushed together when the process ends
+const activeBuffers = new Set();
+
+function flushAllBuffers() {
+  activeBuffers.forEach((flush) => flush());
+}
+
+// Ctrl+C and `kill` end the process without an 'exit' event
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Flushes on SIGINT/SIGTERM without changing what the signal does
+ *
+ * Listening to a signal turns off Node's default handling (ending the
+ * process). When the application has its own handler, it still decides what
+ * happens: it may be draining connections and exit later. Otherwise our
+ * listener removes itself and raises the signal again, so the process ends
+ * just as it would have, with the usual exit code.
+ */
+function flushOnSignal(signal) {
+  flushAllBuffers();
+  if (process.listenerCount(signal) === 1) {
+    removeProcessListeners();
+    process.kill(process.pid, signal);
+  }
+}
+
+function addProcessListeners() {
+  // 'exit' handlers must be synchronous: flushing is, as long as the wrapped transports are
+  process.on('exit', flushAllBuffers);
+  // Runs before the process crashes, without changing how the exception is handled
+  process.on('uncaughtExceptionMonitor', flushAllBuffers);
+  EXIT_SIGNALS.forEach((signal) => process.on(signal, flushOnSignal));
+}
+
+function removeProcessListeners() {
+  process.removeListener('exit', flushAllBuffers);
+  process.removeListener('uncaughtExceptionMonitor', flushAllBuffers);
+  EXIT_SIGNALS.forEach((signal) => process.removeListener(signal, flushOnSignal));
+}
+
+// One set of process listeners for all buffers (one per buffer would hit the listener limit)
+function registerBuffer(flush) {
+  if (activeBuffers.size === 0) addProcessListeners();
+  activeBuffers.add(flush);
+}
+
+function unregisterBuffer(flush) {
+  activeBuffers.delete(flush);
+  if (activeBuffers.size === 0) removeProcessListeners();
+}
+
+/**
+ * Wraps a transport so that logging only appends to an in-memory buffer
+ *
+ * A synchronous console.log or fs.writeSync per message adds up under load:
+ * the event loop waits for every single write. Buffering moves the writes
+ * out of the request path and groups them, so many records cost one write.
+ *
+ * The buffer is flushed:
+ * - when `batchSize` records are waiting (on the next tick, not inside log())
+ * - every `flushInterval` milliseconds
+ * - on process exit, on SIGINT/SIGTERM and on uncaught exceptions, so the
+ *   last records (usually the interesting ones) are not lost
+ *
+ * When records arrive faster than they can be written, the buffer would grow
+ * without limit. Once it holds `maxBuffered` records, `dropPolicy` decides:
+ * - 'drop-newest': discard the incoming record
+ * - 'drop-oldest': discard the oldest buffered record
+ * - 'block': flush right away, in the caller (slows the caller down, loses nothing)
+ * Dropped records are counted and reported in a warning on the next flush.
+ *
+ * @param {Object} transport - The transport to wrap
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Flush once this many records are waiting
+ * @param {number} [options.flushInterval=1000] - Flush at least this often (ms)
+ * @param {number} [options.maxBuffered=10000] - Buffer capacity
+ * @param {'drop-newest'|'drop-oldest'|'block'} [options.dropPolicy='drop-newest']
+ * @returns {Object} A transport with extra flush() and getStats() methods
+ */
+function bufferedTransport(transport, options = {}) {
+  const batchSize = options.batchSize || 100;
+  const flushInterval = options.flushInterval === undefined ? 1000 : options.flushInterval;
+  const maxBuffered = options.maxBuffered || 10000;
+  const dropPolicy = options.dropPolicy || 'drop-newest';
+
+  if (!DROP_POLICIES.includes(dropPolicy)) {
+    throw new TypeError(`Unknown drop policy '${dropPolicy}' (use ${DROP_POLICIES.join(', ')})`);
+  }
+
+  // Ring buffer: dropping the oldest record moves `start` instead of
+  // shifting every other record down (Array#shift is O(n))
+  const ring = new Array(maxBuffered);
+  let start = 0;
+  let count = 0;
+  let dropped = 0;
+  let flushScheduled = false;
+  let closed = false;
+  const stats = { written: 0, dropped: 0, flushes: 0 };
+
+  function flush() {
+    flushScheduled = false;
+    if (count === 0 && dropped === 0) return;
+
+    const batch = [];
+    for (let i = 0; i < count; i++) {
+      const slot = (start + i) % maxBuffered;
+      batch.push(ring[slot]);
+      ring[slot] = undefined; // let the record be garbage collected
+    }
+    start = 0;
+    count = 0;
+
+    if (dropped > 0) {
+      const last = batch[batch.length - 1];
+      batch.push({
+        timestamp: new Date().toISOString(),
+        level: 'warn',
+        name: last ? last.name : 'logger',
+        message: `${dropped} log records were dropped because the buffer was full`
+      });
+      dropped = 0;
+    }
+
+    stats.flushes++;
+    stats.written += batch.length;
+
+    if (typeof transport.logBatch === 'function') transport.logBatch(batch);
+    else batch.forEach((record) => transport.log(record));
+  }
+
+  function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    setImmediate(flush);
+  }
+
+  // The timer must not keep an otherwise finished process alive
+  const timer = flushInterval > 0 ? setInterval(flush, flushInterval) : null;
+  if (timer) timer.unref();
+
+  registerBuffer(flush);
+
+  return {
+    name: `buffered-${transport.name}`,
+    level: transport.level,
+    log: function(record) {
+      if (closed) return;
+
+      if (count >= maxBuffered) {
+        if (dropPolicy === 'drop-newest') {
+          dropped++;
+          stats.dropped++;
+          return;
+        }
+        if (dropPolicy === 'drop-oldest') {
+          ring[start] = undefined;
+          start = (start + 1) % maxBuffered;
+          count--;
+          dropped++;
+          stats.dropped++;
+        } else {
+          flush();
+        }
+      }
+
+      ring[(start + count) % maxBuffered] = record;
+      count++;
+      if (count >= batchSize) scheduleFlush();
+    },
+    flush: flush,
+    // { written, dropped, flushes, buffered }
+    getStats: function() {
+      return { ...stats, buffered: count };
+    },
+    close: function() {
+      flush();
+      closed = true;
+      if (timer) clearInterval(timer);
+      unregisterBuffer(flush);
+      if (typeof transport.close === 'function') transport.close();
+    }
+  };
+}
+
+// Syslog severities (RFC 5424, section 6.2.1)
+const SYSLOG_SEVERITY = {
+  fatal: 2,
+  error: 3,
+  warn: 4,
+  info: 6,
+  debug: 7,
+  trace: 7
+};
+
+// A few common syslog facilities
+const SYSLOG_FACILITY = {
+  kern: 0,
+  user: 1,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+/**
+ * Formats a record as an RFC 5424 syslog message
+ *
+ * <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA MSG
+ * <14>1 2024-01-01T12:00:00.000Z myhost my-app 1234 - - Server started
+ *
+ * PRI = facility * 8 + severity
+ */
+function formatSyslog(record, settings) {
+  const severity = SYSLOG_SEVERITY[record.level] === undefined ? 6 : SYSLOG_SEVERITY[record.level];
+  const priority = settings.facility * 8 + severity;
+  // Header fields must be printable ASCII without spaces; '-' means "no value"
+  const field = (value, max) => (value ? String(value).replace(/[^\x21-\x7e]/g, '_').slice(0, max) : '-');
+
+  return `<${priority}>1 ${record.timestamp} ${field(settings.hostname, 255)} ${field(settings.appName || record.name, 48)} ` +
+    `${process.pid} ${field(record.name, 32)} - ${record.message}${fieldsSuffix(record)}`;
+}
+
+/**
+ * Sends records to a syslog daemon (RFC 5424 format)
+ *
+ * - 'udp': one datagram per message (the classic, fire-and-forget)
+ * - 'tcp': a stream connection; messages are framed with their length (RFC 6587)
+ * - 'unix': like tcp, but over a local Unix domain socket (set `path`)
+ *
+ * Only stream Unix sockets work (e.g. syslog-ng's unix-stream() source):
+ * Node's net module has no SOCK_DGRAM for Unix sockets, and /dev/log is
+ * usually a datagram socket, which fails with EPROTOTYPE. To reach the
+ * local daemon through /dev/log, enable its UDP input and use 'udp'.
+ *
+ * @param {Object} [options]
+ * @param {'udp'|'tcp'|'unix'} [options.protocol='udp']
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.port=514]
+ * @param {string} [options.path] - Stream socket path for 'unix'
+ * @param {string} [options.appName] - APP-NAME field (defaults to the logger name)
+ * @param {string|number} [options.facility='user']
+ * @param {string} [options.level] - Minimum level for this transport
+ * @param {Function} [options.onError] - Called with network errors (defaults to ignoring them)
+ */
+function syslogTransport(options = {}) {
+  const protocol = options.protocol || 'udp';
+  const host = options.host || '127.0.0.1';
+  const port = options.port || 514;
+  const onError = options.onError || (() => {});
+  const settings = {
+    hostname: options.hostname || os.hostname(),
+    appName: options.appName,
+    facility: typeof options.facility === 'number' ? options.facility : SYSLOG_FACILITY[options.facility || 'user']
+  };
+
+  if (settings.facility === undefined) {
+    throw new TypeError(`Unknown syslog facility '${options.facility}'`);
+  }
+  if (protocol === 'unix' && !options.path) {
+    throw new TypeError("syslogTransport with protocol 'unix' requires a path");
+  }
+
+  let socket = null;
+
+  function connect() {
+    if (protocol === 'udp') {
+      socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+      socket.on('error', onError);
+      // A logger must never keep the process alive on its own
+      socket.unref();
+      return;
+    }
+
+    const connection = protocol === 'unix' ? net.connect({ path: options.path }) : net.connect({ host, port });
+    connection.on('error', (error) => {
+      if (error.code === 'EPROTOTYPE') {
+        error.message = `${options.path} is not a stream socket (datagram sockets such as /dev/log are not supported): ${error.message}`;
+      }
+      onError(error);
+      connection.destroy();
+      if (socket === connection) socket = null; // reconnect on the next message
+    });
+    connection.unref();
+    socket = connection;
+  }
+
+  return {
+    name: 'syslog',
+    level: options.level,
+    log: function(record) {
+      if (!socket) connect();
+      const message = formatSyslog(record, settings);
+
+      if (protocol === 'udp') {
+        socket.send(message, port, host, (error) => error && onError(error));
+      } else {
+        // Octet counting: "<length> <message>" so the receiver knows where a message ends
+        socket.write(`${Buffer.byteLength(message)} ${message}`);
+      }
+    },
+    close: function() {
+      if (!socket) return;
+      if (protocol === 'udp') socket.close();
+      else socket.end();
+      socket = null;
+    }
+  };
+}
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  rotatingFileTransport,
+  streamTransport,
+  syslogTransport,
+  bufferedTransport,
+  formatLine,
+  formatJson,
+  formatSyslog,
+  SYSLOG_SEVERITY,
+  SYSLOG_FACILITY
+};
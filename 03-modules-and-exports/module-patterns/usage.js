@@ -91,6 +91,82 @@ console.log(`   Can access public methods: ${typeof devLogger.getLogCount}`);
 console.log(`   Can't access private variables: ${typeof devLogger.logCount}`);
 console.log(`   Can't access private functions: ${typeof devLogger.shouldLog}`);
 
+/**
+ * Factory Pattern + Transports
+ * 
+ * A transport decides where messages go. Each one can have its own minimum
+ * level, and one logger can write to several transports at once.
+ */
+console.log('\n   Factory Pattern with Transports:');
+
+const { consoleTransport, streamTransport } = require('./transports');
+
+// Collect warnings and errors in memory (any Writable stream works, e.g. a socket)
+const { PassThrough } = require('stream');
+const alerts = new PassThrough();
+let alertText = '';
+alerts.on('data', (chunk) => { alertText += chunk; });
+
+const multiLogger = logger.createLogger({
+  name: 'MultiLogger',
+  level: 'debug',
+  transports: [
+    consoleTransport({ level: 'info' }), // info and above to the console
+    streamTransport({ stream: alerts, level: 'warn' }) // only warnings and errors to the stream
+  ]
+});
+
+multiLogger.debug('Not shown anywhere: below both transport levels');
+multiLogger.info('Shown on the console only');
+multiLogger.error('Shown on the console and sent to the alert stream');
+console.log(`   Alert stream received ${alertText.trim().split('\n').length} line(s)`);
+multiLogger.close();
+
+/**
+ * Factory Pattern + Structured Logging
+ * 
+ * Records can carry fields, child loggers add fields to every record,
+ * and sensitive keys like `password` are redacted automatically.
+ */
+console.log('\n   Factory Pattern with Structured Records:');
+
+const apiLogger = logger.createLogger({
+  name: 'ApiLogger',
+  transports: [streamTransport({ stream: process.stdout, format: 'json' })]
+});
+
+// A child logger binds context, e.g. one per request
+const requestLogger = apiLogger.child({ requestId: 'req-1' });
+requestLogger.info({ userId: 42, password: 'hunter2' }, 'User logged in');
+
+// Errors are serialized with their stack and cause chain
+const dbError = new Error('Connection refused');
+requestLogger.error(new Error('Could not load profile', { cause: dbError }), 'Request failed');
+
+/**
+ * Factory Pattern + Levels and Namespaces
+ * 
+ * Logger names act as namespaces. LOG_LEVEL (or setLevels() at runtime)
+ * sets levels per namespace, e.g. LOG_LEVEL=db:*=debug,http=warn
+ */
+console.log('\n   Factory Pattern with Levels and Namespaces:');
+
+const poolLogger = logger.createLogger({ name: 'db:pool' });
+const httpLogger = logger.createLogger({ name: 'http' });
+
+poolLogger.debug('Hidden: the default level is info');
+
+// Turn on verbose logging for the database only, without a restart
+logger.setLevels('db:*=trace,http=warn');
+poolLogger.trace('Shown: db:* is now at trace');
+httpLogger.info('Hidden: http is now at warn');
+
+// setLevel() on one logger wins over the namespace rules
+httpLogger.setLevel('debug');
+httpLogger.debug('Shown: http was switched to debug');
+console.log(`   Levels: db:pool=${poolLogger.getLevel()}, http=${httpLogger.getLevel()}`);
+logger.setLevels(process.env.LOG_LEVEL || '');
+
 /**
  * PATTERN 4: SINGLETON USAGE
  * 
@@ -112,6 +188,14 @@ const history = logService1.getHistory();
 console.log('   Log history (from first reference):');
 history.forEach(entry => console.log(`   ${entry}`));
 
+// The history is structured, so it can be filtered and exported (e.g. for a bug report)
+logService1.log('error', 'Checkout failed', { orderId: 1234 });
+const problems = logService2.query({ minLevel: 'warn', order: 'desc', limit: 10 });
+console.log(`   Warnings and errors in the history: ${problems.total}`);
+console.log('   As CSV:');
+logService2.exportHistory('csv', { minLevel: 'warn' }).trim().split('\r\n')
+  .forEach(line => console.log(`   ${line}`));
+
 // Clearing from one reference affects all references
 logService2.clearHistory();
 console.log(`   After clearing (from second reference): ${logService1.getHistory().length} entries`);
@@ -131,7 +215,7 @@ console.log('\n5. Using the Submodules Pattern:');
 const jsonLog = logger.logUtils.format.asJson('error', 'Database connection failed');
 console.log(`   JSON formatted log: ${jsonLog}`);
 
-// Use the color formatter
+// Use the color formatter (colors only appear on a terminal; try NO_COLOR=1 or FORCE_COLOR=1)
 console.log(logger.logUtils.format.withColor('info', 'User profile updated'));
 console.log(logger.logUtils.format.withColor('warn', 'High memory usage detected'));
 console.log(logger.logUtils.format.withColor('error', 'Service unavailable'));
@@ -139,8 +223,24 @@ console.log(logger.logUtils.format.withColor('error', 'Service unavailable'));
 // Use the analysis tools
 const message = 'Multiple errors occurred during application startup';
 console.log(`   Words in message: ${logger.logUtils.analysis.countWords(message)}`);
+console.log(`   Words in a Japanese message: ${logger.logUtils.analysis.countWords('接続に失敗しました', { locale: 'ja' })}`);
 console.log(`   Contains error references: ${logger.logUtils.analysis.hasError(message)}`);
 
+// Similar messages share a template once numbers and IDs are masked
+console.log(`   Template: ${logger.logUtils.analysis.toTemplate('Order 1234 failed after 3 retries')}`);
+
+// Analyze whole log files as a stream (also: node log-analysis.js app.log)
+const { Readable } = require('stream');
+const sampleLog = Readable.from([
+  '2024-01-01T12:00:00.000Z [App] [INFO] User 1 logged in\n',
+  '2024-01-01T12:00:05.000Z [App] [ERROR] Order 17 failed\n',
+  '{"timestamp":"2024-01-01T12:01:00.000Z","level":"info","name":"App","message":"User 2 logged in"}\n'
+]);
+logger.logUtils.analysis.analyzeStream(sampleLog).then((result) => {
+  console.log(`   Analyzed ${result.total} records, error rate ${(result.errorRate * 100).toFixed(0)}%`);
+  result.templates.forEach((entry) => console.log(`   ${entry.count}x ${entry.template}`));
+});
+
 /**
  * SUMMARY OF PATTERNS
  * 
@@ -22,8 +22,9 @@
  * with 'npm install' command.
  */
 
-// axios - A promise-based HTTP client for making API requests
-const axios = require('axios');
+// Our own promise-based HTTP client, built on the core http/https modules
+// (it replaces axios here: see 02-core-modules/http-toolkit/client.js)
+const httpClient = require('../../02-core-modules/http-toolkit/client');
 
 // chalk - A package for styling terminal strings with colors
 const chalk = require('chalk');
@@ -38,7 +39,7 @@ const _ = require('lodash');
 
 /**
  * Main function to demonstrate package usage
- * We're using an async function since axios returns promises
+ * We're using an async function since the HTTP client returns promises
  */
 async function demoPackages() {
   console.log(chalk.blue.bold('\n===== NPM PACKAGES DEMO =====\n'));
@@ -94,14 +95,18 @@ async function demoPackages() {
   console.log('  User city:', _.get(user, 'address.city', 'Unknown'));
   console.log('  User zipcode:', _.get(user, 'address.zipcode', 'Unknown'));
   
-  // ------------------- AXIOS DEMO -------------------
-  console.log(chalk.green('\n3. Using axios for HTTP requests:'));
+  // ------------------- HTTP CLIENT DEMO -------------------
+  console.log(chalk.green('\n3. Using a promise-based HTTP client for requests:'));
   
   try {
     logWithTime('  Fetching data from JSONPlaceholder API...', 'cyan');
     
     // Make a GET request to a public API
-    const response = await axios.get('https://jsonplaceholder.typicode.com/posts/1');
+    // JSON responses are parsed automatically, like with axios
+    const response = await httpClient.get('https://jsonplaceholder.typicode.com/posts/1', {
+      timeout: 5000,
+      retry: 2
+    });
     
     // Style the output
     console.log(chalk.cyan('  Response data:'));
@@ -118,8 +123,11 @@ async function demoPackages() {
   console.log(chalk.green('\n4. Combining multiple packages:'));
   
   try {
-    // Use axios to fetch data
-    const response = await axios.get('https://jsonplaceholder.typicode.com/users');
+    // Use the HTTP client to fetch data
+    const response = await httpClient.get('https://jsonplaceholder.typicode.com/users', {
+      timeout: 5000,
+      retry: 2
+    });
     
     // Use lodash to process the data
     const users = _.map(response.data, user => _.pick(user, ['id', 'name', 'email']));
@@ -48,6 +48,67 @@ const processed = stringUtils.capitalizeFirstLetter(
 );
 console.log('Processed:', processed);
 
+// Example 6: Unicode text
+// Emoji, flags and accented letters are made of several UTF-16 code units;
+// the utilities count and cut them as single characters
+console.log('\n--- Unicode Example ---');
+const reaction = 'Great job 👍🏽🎉';
+console.log('String length:', reaction.length);
+console.log('Grapheme length:', stringUtils.graphemeLength(reaction));
+console.log('Reversed:', stringUtils.reverseString(reaction));
+console.log('Truncated:', stringUtils.truncate(reaction, 11, { ellipsis: '…' }));
+console.log('Slug:', stringUtils.slugify('Crème Brûlée für Ærøskøbing'));
+
+// Example 7: Case conversions
+console.log('\n--- Case Conversion Example ---');
+const identifier = 'parseHTTPResponse';
+console.log('Words:', stringUtils.splitWords(identifier));
+console.log('camelCase:', stringUtils.camelCase('Parse HTTP response'));
+console.log('PascalCase:', stringUtils.pascalCase(identifier));
+console.log('snake_case:', stringUtils.snakeCase(identifier));
+console.log('kebab-case:', stringUtils.kebabCase(identifier));
+console.log('CONSTANT_CASE:', stringUtils.constantCase(identifier));
+console.log('Title Case:', stringUtils.titleCase('the top 10 libraries of 2023 for node'));
+
+// Example 8: Fuzzy search for a search box
+console.log('\n--- Fuzzy Search Example ---');
+console.log('Levenshtein (kitten, sitting):', stringUtils.levenshtein('kitten', 'sitting'));
+console.log('Damerau (teh, the):', stringUtils.damerauLevenshtein('teh', 'the'));
+console.log('Jaro-Winkler (MARTHA, MARHTA):', stringUtils.jaroWinkler('MARTHA', 'MARHTA').toFixed(3));
+
+const packages = ['express', 'expresso', 'react', 'react-dom', 'redux', 'lodash', 'moment'];
+['exprs', 'raect', 'dom'].forEach((query) => {
+  const matches = stringUtils.fuzzySearch(query, packages, { limit: 3 }).map((match) => {
+    // Wrap the matched characters in [brackets]
+    let text = match.item;
+    [...match.ranges].reverse().forEach(([start, end]) => {
+      text = `${text.slice(0, start)}[${text.slice(start, end)}]${text.slice(end)}`;
+    });
+    return `${text} (${match.score.toFixed(2)})`;
+  });
+  console.log(`Search "${query}":`, matches.join(', '));
+});
+
+// Example 9: Templates
+console.log('\n--- Template Example ---');
+const post = { title: 'Crème Brûlée for Beginners', author: { name: 'ada lovelace' }, tags: ['dessert', 'french'] };
+console.log(stringUtils.template('{{ title | upper }} by {{ author.name | title }}', post));
+console.log(stringUtils.template('/posts/{{ title | slugify }}?ref={{ ref | default: "home" }}', post));
+console.log(stringUtils.template('Tags: {{ tags | join: ", " }} | {{ title | truncate: 12, "…" }}', post));
+
+// Compile once, render many times (template() caches compiled templates too)
+const renderItem = stringUtils.compileTemplate('<li>{{ name }}</li>');
+console.log(['<b>Bold</b>', 'Tom & Jerry'].map((name) => renderItem({ name }, { escape: true })).join(''));
+
+// Example 10: Words and text statistics in any language
+console.log('\n--- Text Statistics Example ---');
+console.log('Chinese words:', stringUtils.countWords('我喜欢学习中文', { locale: 'zh' }));
+console.log('Japanese words:', stringUtils.segmentWords('今日はいい天気ですね', { locale: 'ja' }));
+console.log('Hyphenated:', stringUtils.countWords('A well-known, state-of-the-art tool - really'));
+const article = 'Node.js runs JavaScript outside the browser. It is fast, and it is everywhere. ' +
+  'Its event loop handles many connections at once without threads.';
+console.log('Stats:', stringUtils.textStats(article, { locale: 'en' }));
+
 /**
  * Running this example:
  * node examples/usage.js
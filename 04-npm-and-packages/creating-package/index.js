@@ -12,40 +12,235 @@ function capitalizeFirstLetter(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// Segmenters are created once per granularity and locale, then reused
+const segmenters = new Map();
+
+function getSegmenter(granularity, locale) {
+  const key = `${granularity}:${locale || ''}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  return segmenters.get(key);
+}
+
+/**
+ * Splits a string into grapheme clusters (user-perceived characters):
+ * an emoji with skin tone, a flag or a letter plus combining accent count as one
+ * @param {string} str - The input string
+ * @return {string[]} The grapheme clusters, in order
+ */
+function graphemes(str) {
+  if (typeof str !== 'string') return [];
+  return Array.from(getSegmenter('grapheme').segment(str), (part) => part.segment);
+}
+
+/**
+ * Counts the user-perceived characters of a string
+ * ('👍🏽'.length is 4, but graphemeLength('👍🏽') is 1)
+ * @param {string} str - The input string
+ * @return {number} Number of grapheme clusters
+ */
+function graphemeLength(str) {
+  return graphemes(str).length;
+}
+
 /**
- * Reverses a string
+ * Reverses a string without breaking emoji or accented letters apart
  * @param {string} str - The input string
  * @return {string} The reversed string
  */
 function reverseString(str) {
   if (typeof str !== 'string') return '';
-  return str.split('').reverse().join('');
+  return graphemes(str).reverse().join('');
 }
 
 /**
  * Truncates a string to specified length and adds ellipsis
+ *
+ * The length is counted in grapheme clusters, so an emoji is never cut in half.
+ * By default a word is never cut either: a cut inside a word keeps the rest
+ * of that word, so the text may run a few characters past maxLength. Use
+ * wordBoundary 'before' for a strict limit that drops the partial word, or
+ * false to cut exactly at maxLength.
+ *
  * @param {string} str - The input string
  * @param {number} maxLength - Maximum length before truncation
+ * @param {Object} [options]
+ * @param {string} [options.ellipsis='...'] - Appended to truncated text
+ * @param {'after'|'before'|false} [options.wordBoundary='after'] - Where to cut a word that spans maxLength
  * @return {string} The truncated string
  */
-function truncate(str, maxLength = 30) {
+function truncate(str, maxLength = 30, options = {}) {
   if (typeof str !== 'string') return '';
-  if (str.length <= maxLength) return str;
-  return str.slice(0, maxLength) + '...';
+  const { ellipsis = '...', wordBoundary = 'after' } = options;
+
+  const parts = graphemes(str);
+  if (parts.length <= maxLength) return str;
+
+  // Position of the cut in UTF-16 code units, always between two graphemes
+  let cut = parts.slice(0, maxLength).join('').length;
+
+  if (wordBoundary) {
+    for (const { segment, index, isWordLike } of getSegmenter('word').segment(str)) {
+      if (index >= cut) break;
+      if (isWordLike && index + segment.length > cut) {
+        // The cut falls inside this word; a single word longer than maxLength
+        // is still cut, since there is no earlier boundary to go back to
+        if (wordBoundary === 'after') cut = index + segment.length;
+        else if (index > 0) cut = index;
+        break;
+      }
+    }
+  }
+
+  // "long, " + "..." reads worse than "long..."
+  return str.slice(0, cut).replace(/[\s,;:.!?\-]+$/u, '') + ellipsis;
 }
 
+// A hyphen between two words joins them into one ("well-known")
+const HYPHENS = new Set(['-', '‐', '‑']);
+
 /**
- * Counts words in a string
+ * Splits a string into words using the word rules of a language
+ *
+ * Intl.Segmenter knows where words end even without spaces, as in Chinese
+ * or Japanese ("我喜欢学习" -> ["我", "喜欢", "学习"]). Punctuation and lone
+ * dashes are not words; hyphenated compounds count as one word.
+ *
  * @param {string} str - The input string
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 language tag, e.g. 'ja' (default: the runtime's)
+ * @return {string[]} The words
+ */
+function segmentWords(str, options = {}) {
+  if (typeof str !== 'string') return [];
+  const words = [];
+  let previousIsWord = false;
+  let hyphen = null; // a hyphen right after a word, which may join it to the next
+
+  for (const { segment, isWordLike } of getSegmenter('word', options.locale).segment(str)) {
+    if (isWordLike) {
+      if (hyphen) words[words.length - 1] += hyphen + segment;
+      else words.push(segment);
+      hyphen = null;
+    } else {
+      hyphen = previousIsWord && HYPHENS.has(segment) ? segment : null;
+    }
+    previousIsWord = isWordLike;
+  }
+
+  return words;
+}
+
+/**
+ * Counts words in a string, in any language (see segmentWords)
+ * @param {string} str - The input string
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 language tag (default: the runtime's)
  * @return {number} Number of words
  */
-function countWords(str) {
-  if (typeof str !== 'string') return 0;
-  return str.trim().split(/\s+/).filter(Boolean).length;
+function countWords(str, options) {
+  return segmentWords(str, options).length;
+}
+
+/**
+ * Estimates the syllables of an English word from its vowel groups
+ * ("readable" -> 3). A common heuristic: right for most words, never exact.
+ */
+function countSyllables(word) {
+  return word.toLowerCase().split(/[-‐‑]/).reduce((total, part) => {
+    let letters = part.replace(/[^a-z]/g, '');
+    if (!letters) return total;
+    if (letters.length <= 3) return total + 1;
+    // A silent final "e", "es" or "ed" is not a syllable ("made", "makes"), but "es"
+    // after a hissing sound is ("boxes", "wishes", "places")
+    letters = letters.replace(/(?:[^laeiouycgsxz](?<![cs]h)es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    const vowelGroups = letters.match(/[aeiouy]{1,2}/g);
+    return total + (vowelGroups ? vowelGroups.length : 1);
+  }, 0);
+}
+
+// Rounds to one decimal place, as readability scores are usually shown
+function round1(value) {
+  return Math.round(value * 10) / 10;
 }
 
+/**
+ * Collects statistics about a text
+ *
+ * Readability uses the Flesch formulas, which were made for English, so it
+ * is only computed when the locale is English:
+ * - fleschReadingEase: 0-100, higher is easier (60-70 is plain English)
+ * - fleschKincaidGrade: the US school grade needed to understand the text
+ *
+ * @param {string} str - The text
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 language tag (default: the runtime's)
+ * @param {number} [options.wordsPerMinute=200] - Reading speed for readingTime
+ * @return {{
+ *   words: number,
+ *   sentences: number,
+ *   characters: number,
+ *   graphemes: number,
+ *   readingTime: { minutes: number, seconds: number },
+ *   readability: { syllables: number, fleschReadingEase: number, fleschKincaidGrade: number } | null
+ * }} characters counts code points; minutes is rounded up ("1 min read")
+ */
+function textStats(str, options = {}) {
+  const { locale, wordsPerMinute = 200 } = options;
+  const text = typeof str === 'string' ? str : '';
+  const words = segmentWords(text, { locale });
+
+  const sentenceSegmenter = getSegmenter('sentence', locale);
+  let sentences = 0;
+  for (const { segment } of sentenceSegmenter.segment(text)) {
+    if (/[\p{L}\p{N}]/u.test(segment)) sentences++;
+  }
+
+  const minutes = words.length / wordsPerMinute;
+  const isEnglish = new Intl.Locale(sentenceSegmenter.resolvedOptions().locale).language === 'en';
+  let readability = null;
+
+  if (isEnglish && words.length > 0) {
+    const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+    const wordsPerSentence = words.length / Math.max(1, sentences);
+    const syllablesPerWord = syllables / words.length;
+    readability = {
+      syllables,
+      fleschReadingEase: round1(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+      fleschKincaidGrade: round1(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+    };
+  }
+
+  return {
+    words: words.length,
+    sentences,
+    characters: codePoints(text).length,
+    graphemes: graphemeLength(text),
+    readingTime: { minutes: Math.ceil(minutes), seconds: Math.round(minutes * 60) },
+    readability
+  };
+}
+
+// Letters that Unicode normalization does not split into a base letter plus a mark
+const TRANSLITERATIONS = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ø': 'o',
+  'đ': 'd',
+  'ð': 'd',
+  'þ': 'th',
+  'ł': 'l',
+  'ħ': 'h',
+  'ı': 'i'
+};
+
 /**
  * Converts a string to slug format (lowercase, hyphens instead of spaces)
+ *
+ * Accented letters are transliterated rather than dropped: NFKD normalization
+ * splits "é" into "e" plus a combining accent, and the accent is removed
+ * ("Café Ünïcode" -> "cafe-unicode"). Letters of other scripts are kept.
+ *
  * @param {string} str - The input string
  * @return {string} The slugified string
  */
@@ -53,18 +248,685 @@ function slugify(str) {
   if (typeof str !== 'string') return '';
   return str
     .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[ßæœøđðþłħı]/g, (letter) => TRANSLITERATIONS[letter])
     .replace(/\s+/g, '-')
-    .replace(/[^\w\-]+/g, '')
+    .replace(/[^\p{L}\p{N}_-]+/gu, '')
     .replace(/\-\-+/g, '-')
     .replace(/^-+/, '')
     .replace(/-+$/, '');
 }
 
+/**
+ * Splits a string into words for the case conversions
+ *
+ * Besides spaces and punctuation, words end where the case changes:
+ * "parseHTTPResponse" -> ["parse", "HTTP", "Response"]. Digits stay with
+ * the word before them ("base64Encode" -> ["base64", "Encode"]), and
+ * apostrophes inside a word are kept ("don't").
+ *
+ * @param {string} str - The input string
+ * @return {string[]} The words, with their original case
+ */
+function splitWords(str) {
+  if (typeof str !== 'string') return [];
+  return str
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2') // parseHttp -> parse Http, base64Encode -> base64 Encode
+    .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2') // HTTPResponse -> HTTP Response
+    .split(/(?:[^\p{L}\p{N}'’]|(?<![\p{L}\p{N}])['’]|['’](?![\p{L}\p{N}]))+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Uppercases the first character of a word and lowercases the rest
+ * @param {string} word - A single word
+ * @return {string} The capitalized word
+ */
+function capitalizeWord(word) {
+  const [first = '', ...rest] = word; // spreading keeps surrogate pairs together
+  return first.toUpperCase() + rest.join('').toLowerCase();
+}
+
+// Identifiers can't contain apostrophes: "don't stop" -> dontStop
+function codeWords(str) {
+  return splitWords(str).map((word) => word.replace(/['’]/g, ''));
+}
+
+/**
+ * Converts a string to camelCase ("parse HTTP response" -> "parseHttpResponse")
+ * @param {string} str - The input string
+ * @return {string} The camelCased string
+ */
+function camelCase(str) {
+  return codeWords(str)
+    .map((word, index) => (index === 0 ? word.toLowerCase() : capitalizeWord(word)))
+    .join('');
+}
+
+/**
+ * Converts a string to PascalCase ("parse HTTP response" -> "ParseHttpResponse")
+ * @param {string} str - The input string
+ * @return {string} The PascalCased string
+ */
+function pascalCase(str) {
+  return codeWords(str).map(capitalizeWord).join('');
+}
+
+/**
+ * Converts a string to snake_case ("parseHTTPResponse" -> "parse_http_response")
+ * @param {string} str - The input string
+ * @return {string} The snake_cased string
+ */
+function snakeCase(str) {
+  return codeWords(str).map((word) => word.toLowerCase()).join('_');
+}
+
+/**
+ * Converts a string to kebab-case ("parseHTTPResponse" -> "parse-http-response")
+ * Unlike slugify, letters are not transliterated.
+ * @param {string} str - The input string
+ * @return {string} The kebab-cased string
+ */
+function kebabCase(str) {
+  return codeWords(str).map((word) => word.toLowerCase()).join('-');
+}
+
+/**
+ * Converts a string to CONSTANT_CASE ("parseHTTPResponse" -> "PARSE_HTTP_RESPONSE")
+ * @param {string} str - The input string
+ * @return {string} The CONSTANT_CASED string
+ */
+function constantCase(str) {
+  return codeWords(str).map((word) => word.toUpperCase()).join('_');
+}
+
+// Articles, short conjunctions and short prepositions (as in most English style guides)
+const TITLE_SMALL_WORDS = [
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'if', 'in', 'nor',
+  'of', 'off', 'on', 'or', 'per', 'so', 'the', 'to', 'up', 'via', 'vs', 'yet'
+];
+
+/**
+ * Converts a string to Title Case ("the lord of the rings" -> "The Lord of the Rings")
+ *
+ * Small words stay lowercase unless they are the first or last word.
+ * Acronyms such as "HTTP" keep their capitals, except when the whole input
+ * is uppercase ("BREAKING NEWS" -> "Breaking News").
+ *
+ * @param {string} str - The input string
+ * @param {Object} [options]
+ * @param {string[]} [options.smallWords] - Replaces the default list of small words
+ * @return {string} The Title Cased string
+ */
+function titleCase(str, options = {}) {
+  const smallWords = new Set((options.smallWords || TITLE_SMALL_WORDS).map((word) => word.toLowerCase()));
+  const allCaps = typeof str === 'string' && str === str.toUpperCase();
+  const words = splitWords(str);
+
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      if (index > 0 && index < words.length - 1 && smallWords.has(lower)) return lower;
+      if (!allCaps && word.length > 1 && word === word.toUpperCase() && word !== lower) return word;
+      return capitalizeWord(word);
+    })
+    .join(' ');
+}
+
+// The distance functions compare code points, so an emoji counts as one
+// character (not two UTF-16 code units). Non-strings count as empty strings.
+function codePoints(str) {
+  return typeof str === 'string' ? Array.from(str) : [];
+}
+
+/**
+ * Levenshtein distance: the fewest insertions, deletions and substitutions
+ * that turn one string into the other ("kitten" -> "sitting" is 3)
+ *
+ * With maxDistance, the calculation stops as soon as the distance is known
+ * to be larger, which makes filtering long candidate lists much faster.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=Infinity] - Give up beyond this distance
+ * @return {number} The distance, or Infinity if it exceeds maxDistance
+ */
+function levenshtein(a, b, options = {}) {
+  const { maxDistance = Infinity } = options;
+  let source = codePoints(a);
+  let target = codePoints(b);
+  // Keep the rows as short as possible
+  if (source.length < target.length) [source, target] = [target, source];
+  if (source.length - target.length > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    // Later rows never get smaller than this one
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+
+  const distance = previous[target.length];
+  return distance > maxDistance ? Infinity : distance;
+}
+
+/**
+ * Damerau-Levenshtein distance: like levenshtein, but swapping two adjacent
+ * characters counts as one edit ("teh" -> "the" is 1, not 2)
+ *
+ * This is the "optimal string alignment" variant: no part of the string is
+ * edited twice, which is what typo matching needs and keeps it fast.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=Infinity] - Give up beyond this distance
+ * @return {number} The distance, or Infinity if it exceeds maxDistance
+ */
+function damerauLevenshtein(a, b, options = {}) {
+  const { maxDistance = Infinity } = options;
+  let source = codePoints(a);
+  let target = codePoints(b);
+  if (source.length < target.length) [source, target] = [target, source];
+  if (source.length - target.length > maxDistance) return Infinity;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  let previousMin = 0;
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    // A swap reaches back two rows, so both must be past the limit
+    if (rowMin > maxDistance && previousMin > maxDistance) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+    previousMin = rowMin;
+  }
+
+  const distance = previous[target.length];
+  return distance > maxDistance ? Infinity : distance;
+}
+
+/**
+ * Jaro-Winkler similarity, from 0 (nothing in common) to 1 (identical)
+ *
+ * Counts characters that appear in both strings near the same position,
+ * then rewards a common prefix. It suits short strings such as names,
+ * where typos near the end matter less ("MARTHA" vs "MARHTA" is 0.961).
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @param {Object} [options]
+ * @param {number} [options.prefixScale=0.1] - Bonus per common prefix character (at most 4; keep <= 0.25)
+ * @param {number} [options.boostThreshold=0.7] - Only strings at least this similar get the prefix bonus
+ * @return {number} The similarity
+ */
+function jaroWinkler(a, b, options = {}) {
+  const { prefixScale = 0.1, boostThreshold = 0.7 } = options;
+  const source = codePoints(a);
+  const target = codePoints(b);
+  if (source.length === 0 && target.length === 0) return 1;
+  if (source.length === 0 || target.length === 0) return 0;
+
+  // Characters only match within this distance of each other
+  const window = Math.max(0, Math.floor(Math.max(source.length, target.length) / 2) - 1);
+  const sourceMatched = new Array(source.length).fill(false);
+  const targetMatched = new Array(target.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const end = Math.min(i + window + 1, target.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!targetMatched[j] && source[i] === target[j]) {
+        sourceMatched[i] = targetMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  // Matched characters that appear in a different order
+  let outOfOrder = 0;
+  for (let i = 0, j = 0; i < source.length; i++) {
+    if (!sourceMatched[i]) continue;
+    while (!targetMatched[j]) j++;
+    if (source[i] !== target[j]) outOfOrder++;
+    j++;
+  }
+
+  const jaro = (matches / source.length + matches / target.length + (matches - outOfOrder / 2) / matches) / 3;
+  if (jaro < boostThreshold) return jaro;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < source.length && prefix < target.length && source[prefix] === target[prefix]) {
+    prefix++;
+  }
+  return jaro + prefix * prefixScale * (1 - jaro);
+}
+
+// Best possible score of each kind of fuzzySearch match, used to skip work
+const SUBSEQUENCE_MAX_SCORE = 0.8;
+const TYPO_MAX_SCORE = 0.7;
+
+/**
+ * Finds the query as one piece ("script" in "JavaScript")
+ * Matches at the start of the text or of a word score higher.
+ */
+function substringMatch(query, text) {
+  const start = text.indexOf(query);
+  if (start === -1) return null;
+  if (text.length === query.length) return { score: 1, ranges: [[0, text.length]] };
+
+  const atWordStart = start === 0 || !/[\p{L}\p{N}]/u.test(text[start - 1]);
+  const coverage = query.length / text.length;
+  return { score: (atWordStart ? 0.9 : 0.8) + 0.1 * coverage, ranges: [[start, start + query.length]] };
+}
+
+/**
+ * Finds the query characters in order, with gaps ("jvscr" in "JavaScript")
+ * The tighter the characters are packed, the higher the score.
+ */
+function subsequenceMatch(query, text) {
+  // Find where the leftmost match ends, then walk back from there for the
+  // latest possible start, which gives the shortest span ending at that point
+  let q = 0;
+  let end = -1;
+  for (let i = 0; i < text.length && q < query.length; i++) {
+    if (text[i] === query[q]) q++;
+    if (q === query.length) end = i;
+  }
+  if (end === -1) return null;
+
+  const positions = [];
+  q = query.length - 1;
+  for (let i = end; q >= 0; i--) {
+    if (text[i] === query[q]) {
+      positions.unshift(i);
+      q--;
+    }
+  }
+
+  const ranges = [];
+  for (const position of positions) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) last[1] = position + 1;
+    else ranges.push([position, position + 1]);
+  }
+
+  const span = positions[positions.length - 1] - positions[0] + 1;
+  return { score: 0.5 + (SUBSEQUENCE_MAX_SCORE - 0.5) * (query.length / span) * (1 / ranges.length) ** 0.25, ranges };
+}
+
+/**
+ * Finds a word (or the whole text) within a few typos of the query ("javscript")
+ */
+function typoMatch(query, text, maxTypos) {
+  let best = null;
+  const consider = (start, end) => {
+    if (Math.abs(end - start - query.length) > maxTypos) return;
+    const limit = best ? best.distance - 1 : maxTypos;
+    const distance = damerauLevenshtein(query, text.slice(start, end), { maxDistance: limit });
+    if (distance <= limit) best = { distance, ranges: [[start, end]] };
+  };
+
+  consider(0, text.length);
+  for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (best && best.distance === 1) break; // 0 would have been a substring match
+    consider(word.index, word.index + word[0].length);
+  }
+
+  if (!best) return null;
+  return { score: TYPO_MAX_SCORE * (1 - best.distance / query.length), ranges: best.ranges };
+}
+
+/**
+ * Searches a list for approximate matches, best first
+ *
+ * Each candidate is tried as, from best to worst:
+ * 1. a substring ("script" in "JavaScript"), best at the start of a word
+ * 2. a subsequence ("jvscr" in "JavaScript"), best when tightly packed
+ * 3. a word with a few typos ("javscript" for "JavaScript")
+ *
+ * Scores go from 0 to 1 (1 is an exact match). Kinds of matches that can't
+ * reach `threshold` - or the worst of the current top `limit` results - are
+ * not even tried, so a high threshold or a small limit keeps long lists fast.
+ *
+ * @param {string} query - What the user typed
+ * @param {Array} candidates - Strings, or objects with `key`
+ * @param {Object} [options]
+ * @param {string|Function} [options.key] - Property name, or function returning the text to search
+ * @param {number} [options.threshold=0] - Minimum score
+ * @param {number} [options.limit=Infinity] - Maximum number of results
+ * @param {boolean} [options.caseSensitive=false] - Match letter case exactly
+ * @param {number} [options.maxTypos] - Default: 0 for queries under 3 characters, 1 under 6, then 2
+ * @return {Array<{item: *, index: number, score: number, ranges: Array<[number, number]>}>}
+ *   Matches sorted by score (ties keep the list order); ranges are [start, end)
+ *   offsets of the matched characters in the candidate text, for highlighting
+ */
+function fuzzySearch(query, candidates, options = {}) {
+  const { key, threshold = 0, limit = Infinity, caseSensitive = false } = options;
+  if (typeof query !== 'string' || !query || !Array.isArray(candidates) || limit < 1) return [];
+
+  const getText = typeof key === 'function' ? key : key ? (item) => item[key] : (item) => item;
+  const fold = (text) => {
+    if (caseSensitive) return text;
+    const lower = text.toLowerCase();
+    if (lower.length === text.length) return lower;
+    // A few letters grow when lowercased ('İ' -> 'i̇'); keep those so the ranges still fit the text
+    return text.replace(/./gsu, (char) => (char.toLowerCase().length === char.length ? char.toLowerCase() : char));
+  };
+  const needle = fold(query);
+  const queryLength = codePoints(needle).length;
+  const maxTypos = options.maxTypos ?? (queryLength < 3 ? 0 : queryLength < 6 ? 1 : 2);
+
+  const results = [];
+  // The score a new match must beat: the threshold, or the worst kept result once the list is full
+  const floor = () => (results.length < limit ? threshold : results[results.length - 1].score);
+
+  candidates.forEach((item, index) => {
+    const text = getText(item);
+    if (typeof text !== 'string') return;
+    const haystack = fold(text);
+
+    let match = substringMatch(needle, haystack);
+    if (!match && SUBSEQUENCE_MAX_SCORE > floor()) match = subsequenceMatch(needle, haystack);
+    // A loosely scattered subsequence can score lower than a word with a typo
+    if ((!match || match.score < TYPO_MAX_SCORE) && maxTypos > 0 && TYPO_MAX_SCORE > floor()) {
+      const typo = typoMatch(needle, haystack, maxTypos);
+      if (typo && (!match || typo.score > match.score)) match = typo;
+    }
+    if (!match || match.score < threshold) return;
+    if (results.length >= limit && match.score <= floor()) return;
+
+    // Insert in order; later candidates go after equal scores
+    let position = results.length;
+    while (position > 0 && results[position - 1].score < match.score) position--;
+    results.splice(position, 0, { item, index, score: match.score, ranges: match.ranges });
+    if (results.length > limit) results.pop();
+  });
+
+  return results;
+}
+
+// Characters that must be escaped in HTML text and attribute values
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/**
+ * Escapes a value for use in HTML
+ * @param {*} value - Any value (null and undefined become an empty string)
+ * @return {string} The escaped string
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Output of the `raw` filter: inserted as it is, even when escaping is on
+class RawValue {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// null and undefined render as nothing, everything else as its string
+function toText(value) {
+  if (value instanceof RawValue) value = value.value;
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Wraps a string function so it can be used as a filter on any value
+function textFilter(fn) {
+  return (value, ...args) => fn(toText(value), ...args);
+}
+
+/**
+ * The filters every template can use: {{ value | name: arg1, arg2 }}
+ * Pass `filters` to template() to add your own or replace these.
+ * @type {Object<string, Function>}
+ */
+const TEMPLATE_FILTERS = {
+  upper: textFilter((str) => str.toUpperCase()),
+  lower: textFilter((str) => str.toLowerCase()),
+  trim: textFilter((str) => str.trim()),
+  capitalize: textFilter(capitalizeFirstLetter),
+  title: textFilter(titleCase),
+  camel: textFilter(camelCase),
+  pascal: textFilter(pascalCase),
+  snake: textFilter(snakeCase),
+  kebab: textFilter(kebabCase),
+  constant: textFilter(constantCase),
+  slugify: textFilter(slugify),
+  // {{ summary | truncate: 20 }} or {{ summary | truncate: 20, "…" }}
+  truncate: textFilter((str, maxLength, ellipsis) =>
+    truncate(str, maxLength, ellipsis === undefined ? {} : { ellipsis })),
+  // {{ user.name | default: "Guest" }}: used for undefined, null and ''
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  json: (value) => JSON.stringify(value),
+  // Escaped once, then left alone by the `escape` option
+  escape: (value) => (value instanceof RawValue ? value : new RawValue(escapeHtml(value))),
+  raw: (value) => (value instanceof RawValue ? value : new RawValue(value))
+};
+
+// Tokens of a placeholder: quoted strings, | : , and everything else (paths, numbers, names)
+const EXPRESSION_TOKEN = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[|:,]|[^\s|:,"']+/g;
+// Path segments that would reach into an object's prototype instead of its data
+const UNSAFE_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Parses a literal ("text", 'text', 42, true, false, null) or a dotted path
+ * @return {Function} (data) => value
+ */
+function compileOperand(token) {
+  if (/^["']/.test(token)) {
+    const text = token.slice(1, -1).replace(/\\(.)/g, '$1');
+    return () => text;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) {
+    const number = Number(token);
+    return () => number;
+  }
+  if (token === 'true' || token === 'false' || token === 'null') {
+    const literal = JSON.parse(token);
+    return () => literal;
+  }
+
+  const keys = token.split('.');
+  return (data) => keys.reduce((value, key) =>
+    (value === null || value === undefined || UNSAFE_KEYS.has(key) ? undefined : value[key]), data);
+}
+
+/**
+ * Parses `path | filter: arg, arg | filter` into a value and a list of filters
+ */
+function compileExpression(placeholder, position) {
+  const tokens = placeholder.slice(2, -2).match(EXPRESSION_TOKEN) || [];
+  const fail = (problem) => {
+    throw new SyntaxError(`${problem} in placeholder '${placeholder}' at position ${position}`);
+  };
+
+  let index = 0;
+  const operand = () => {
+    const token = tokens[index++];
+    if (token === undefined || /^[|:,]$/.test(token)) fail('Expected a value');
+    return compileOperand(token);
+  };
+
+  const value = operand();
+  const filters = [];
+  while (index < tokens.length) {
+    if (tokens[index++] !== '|') fail(`Unexpected '${tokens[index - 1]}'`);
+    const name = tokens[index++];
+    if (!name || !/^[A-Za-z_$][\w$]*$/.test(name)) fail('Expected a filter name');
+
+    const args = [];
+    if (tokens[index] === ':') {
+      index++;
+      args.push(operand());
+      while (tokens[index] === ',') {
+        index++;
+        args.push(operand());
+      }
+    }
+    filters.push({ name, args });
+  }
+
+  return { value, filters };
+}
+
+/**
+ * Splits a template into text and compiled placeholders
+ * @return {Array<string|Object>}
+ */
+function parseTemplate(source) {
+  const parts = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const start = source.indexOf('{{', position);
+    if (start === -1) break;
+    const end = source.indexOf('}}', start + 2);
+    if (end === -1) throw new SyntaxError(`Unclosed placeholder at position ${start}`);
+
+    if (start > position) parts.push(source.slice(position, start));
+    parts.push(compileExpression(source.slice(start, end + 2), start));
+    position = end + 2;
+  }
+
+  if (position < source.length) parts.push(source.slice(position));
+  return parts;
+}
+
+// Compiled templates by source, least recently used first
+const templateCache = new Map();
+const TEMPLATE_CACHE_SIZE = 500;
+
+/**
+ * Compiles a template once, for rendering many times
+ *
+ * Templates are cached by their source, so calling compileTemplate (or
+ * template) again with the same text does not parse it again.
+ *
+ * @param {string} source - Text with {{ placeholders }}
+ * @return {Function} render(data, options) - Same options as template()
+ * @throws {SyntaxError} If a placeholder is unclosed or malformed
+ */
+function compileTemplate(source) {
+  if (typeof source !== 'string') throw new TypeError('The template must be a string');
+
+  let render = templateCache.get(source);
+  if (render) {
+    // Move it to the end: it was used most recently
+    templateCache.delete(source);
+    templateCache.set(source, render);
+    return render;
+  }
+
+  const parts = parseTemplate(source);
+
+  render = function(data = {}, options = {}) {
+    const filters = options.filters ? { ...TEMPLATE_FILTERS, ...options.filters } : TEMPLATE_FILTERS;
+    const escape = options.escape === true ? escapeHtml : options.escape;
+
+    return parts.map((part) => {
+      if (typeof part === 'string') return part;
+
+      let value = part.value(data);
+      for (const { name, args } of part.filters) {
+        const filter = filters[name];
+        if (typeof filter !== 'function') throw new Error(`Unknown template filter '${name}'`);
+        value = filter(value, ...args.map((arg) => arg(data)));
+      }
+
+      if (value instanceof RawValue || !escape) return toText(value);
+      return escape(value);
+    }).join('');
+  };
+
+  templateCache.set(source, render);
+  if (templateCache.size > TEMPLATE_CACHE_SIZE) {
+    templateCache.delete(templateCache.keys().next().value);
+  }
+  return render;
+}
+
+/**
+ * Fills the {{ placeholders }} of a template
+ *
+ * A placeholder holds a dotted path into `data` and optional filters:
+ * {{ user.name }}, {{ user.name | upper }}, {{ title | truncate: 20 }},
+ * {{ user.name | default: "Guest" | capitalize }}. Missing values render
+ * as nothing.
+ *
+ * Values are inserted as they are, unless `escape` is set: then each one
+ * is escaped for HTML, except those passed through the `raw` filter.
+ *
+ * @param {string} source - Text with {{ placeholders }}
+ * @param {Object} [data] - Values for the placeholders
+ * @param {Object} [options]
+ * @param {boolean|Function} [options.escape=false] - true escapes every value for HTML; a function escapes with that function
+ * @param {Object<string, Function>} [options.filters] - Extra filters: (value, ...args) => newValue
+ * @return {string} The rendered text
+ * @throws {SyntaxError} If a placeholder is unclosed or malformed
+ *
+ * @example
+ * template('Hello {{user.name | upper}}!', { user: { name: 'Ada' } }); // 'Hello ADA!'
+ * template('<h1>{{ title }}</h1>', { title: '<b>' }, { escape: true }); // '<h1>&lt;b&gt;</h1>'
+ */
+function template(source, data, options) {
+  return compileTemplate(source)(data, options);
+}
+
 // Export functions for users of the package
 module.exports = {
   capitalizeFirstLetter,
   reverseString,
   truncate,
+  graphemes,
+  graphemeLength,
   countWords,
-  slugify
+  segmentWords,
+  textStats,
+  slugify,
+  splitWords,
+  camelCase,
+  pascalCase,
+  snakeCase,
+  kebabCase,
+  constantCase,
+  titleCase,
+  TITLE_SMALL_WORDS,
+  levenshtein,
+  damerauLevenshtein,
+  jaroWinkler,
+  fuzzySearch,
+  escapeHtml,
+  template,
+  compileTemplate,
+  TEMPLATE_FILTERS
 }; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * @file Generates the ESM entry point and the TypeScript declarations
+ *
+ * index.js (CommonJS) stays the only implementation. The ESM entry re-exports
+ * it, so `import` and `require` share one copy of the code and its state.
+ *
+ * Outputs:
+ * - index.d.ts: declarations generated by tsc from the JSDoc in index.js
+ * - index.mjs: named and default exports for `import`
+ * - index.d.mts: declarations for index.mjs
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const banner = '// Generated by scripts/build.js from index.js - do not edit\n';
+
+/**
+ * Emits index.d.ts with the TypeScript compiler (settings in tsconfig.json)
+ */
+function buildDeclarations() {
+  const tsc = require.resolve('typescript/bin/tsc');
+  execFileSync(process.execPath, [tsc, '--project', path.join(root, 'tsconfig.json')], { stdio: 'inherit' });
+}
+
+/**
+ * Writes index.mjs, which re-exports every named export of index.js
+ * @param {string[]} names - The export names
+ */
+function buildEsmEntry(names) {
+  const code = banner +
+    "import stringUtils from './index.js';\n\n" +
+    `export const {\n${names.map((name) => `  ${name}`).join(',\n')}\n} = stringUtils;\n\n` +
+    'export default stringUtils;\n';
+  fs.writeFileSync(path.join(root, 'index.mjs'), code);
+}
+
+/**
+ * Writes index.d.mts, which points the ESM entry at the generated declarations
+ */
+function buildEsmDeclarations() {
+  const code = banner +
+    "export * from './index.js';\n" +
+    "import * as stringUtils from './index.js';\n" +
+    'export default stringUtils;\n';
+  fs.writeFileSync(path.join(root, 'index.d.mts'), code);
+}
+
+const names = Object.keys(require(path.join(root, 'index.js')));
+
+buildDeclarations();
+buildEsmEntry(names);
+buildEsmDeclarations();
+
+console.log(`Built index.mjs, index.d.ts and index.d.mts (${names.length} exports)`);
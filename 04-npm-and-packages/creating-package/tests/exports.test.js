@@ -0,0 +1,67 @@
+// Smoke tests for the published entry points (run `npm run build` first; `npm test` does)
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const stringUtils = require('../index');
+const exportNames = Object.keys(stringUtils).sort();
+
+// Runs a snippet in a separate Node process inside the package, so the package
+// can import itself by name and the "exports" map in package.json is used
+function run(args) {
+  return execFileSync(process.execPath, args, { cwd: root, encoding: 'utf8' });
+}
+
+describe('Package entry points', () => {
+  test('the generated files exist', () => {
+    ['index.mjs', 'index.d.ts', 'index.d.mts'].forEach((file) => {
+      expect(fs.existsSync(path.join(root, file))).toBe(true);
+    });
+  });
+
+  test('require() gets the CommonJS entry', () => {
+    const output = run(['-e', `
+      const utils = require('string-utils-sample');
+      console.log(JSON.stringify({ names: Object.keys(utils).sort(), slug: utils.slugify('Café Ünïcode') }));
+    `]);
+    expect(JSON.parse(output)).toEqual({ names: exportNames, slug: 'cafe-unicode' });
+  });
+
+  test('import gets named and default exports', () => {
+    const output = run(['--input-type=module', '-e', `
+      import utils, * as namespace from 'string-utils-sample';
+      import { camelCase } from 'string-utils-sample';
+      const names = Object.keys(namespace).filter((name) => name !== 'default').sort();
+      console.log(JSON.stringify({ names, camel: camelCase('parse HTTP response'), same: utils.camelCase === camelCase }));
+    `]);
+    expect(JSON.parse(output)).toEqual({ names: exportNames, camel: 'parseHttpResponse', same: true });
+  });
+
+  test('both entry points share one copy of the code', () => {
+    const output = run(['--input-type=module', '-e', `
+      import { createRequire } from 'module';
+      import { slugify } from 'string-utils-sample';
+      const require = createRequire(import.meta.url);
+      console.log(require('string-utils-sample').slugify === slugify);
+    `]);
+    expect(output.trim()).toBe('true');
+  });
+
+  test('the declarations cover every export', () => {
+    const declarations = fs.readFileSync(path.join(root, 'index.d.ts'), 'utf8');
+    exportNames.forEach((name) => {
+      expect(declarations).toMatch(new RegExp(`export (function|const) ${name}\\b`));
+    });
+  });
+
+  test('TypeScript consumers type-check against both entry points', () => {
+    const tsc = require.resolve('typescript/bin/tsc');
+    try {
+      run([tsc, '--noEmit', '--strict', '--module', 'nodenext', '--moduleResolution', 'nodenext',
+        'tests/fixtures/consumer.mts', 'tests/fixtures/consumer.cts']);
+    } catch (error) {
+      throw new Error(`The fixtures do not type-check:\n${error.stdout}`);
+    }
+  }, 30000);
+});
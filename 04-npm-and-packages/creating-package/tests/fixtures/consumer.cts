@@ -0,0 +1,10 @@
+// Type-checked by tests/exports.test.js: the CommonJS entry as a TypeScript service sees it
+import stringUtils = require('string-utils-sample');
+
+const camel: string = stringUtils.camelCase('parse HTTP response');
+const title: string = stringUtils.titleCase('gone with the wind', { smallWords: ['with', 'the'] });
+
+// @ts-expect-error countWords returns a number
+const count: string = stringUtils.countWords('two words');
+
+export { camel, title, count };
@@ -0,0 +1,12 @@
+// Type-checked by tests/exports.test.js: the ESM entry as a TypeScript service sees it
+import stringUtils, { slugify, truncate, TITLE_SMALL_WORDS } from 'string-utils-sample';
+
+const slug: string = slugify('Café Ünïcode');
+const short: string = truncate('A wonderful day', 5, { wordBoundary: 'before', ellipsis: '…' });
+const smallWords: string[] = [...TITLE_SMALL_WORDS, 'with'];
+const length: number = stringUtils.graphemeLength('👍🏽');
+
+// @ts-expect-error wordBoundary only accepts 'after', 'before' or false
+truncate('A wonderful day', 5, { wordBoundary: 'middle' });
+
+export { slug, short, smallWords, length };
@@ -27,6 +27,29 @@ describe('String Utilities', () => {
     test('handles non-string input', () => {
       expect(stringUtils.reverseString(123)).toBe('');
     });
+
+    test('keeps emoji and surrogate pairs intact', () => {
+      expect(stringUtils.reverseString('ab😀')).toBe('😀ba');
+      expect(stringUtils.reverseString('👍🏽🇫🇷')).toBe('🇫🇷👍🏽');
+    });
+
+    test('keeps combining marks on their letter', () => {
+      // 'e' followed by U+0308 COMBINING DIAERESIS
+      expect(stringUtils.reverseString('noe\u0308l')).toBe('le\u0308on');
+    });
+  });
+
+  describe('graphemeLength', () => {
+    test('counts user-perceived characters', () => {
+      expect(stringUtils.graphemeLength('hello')).toBe(5);
+      expect(stringUtils.graphemeLength('👍🏽')).toBe(1);
+      expect(stringUtils.graphemeLength('👨‍👩‍👧')).toBe(1);
+      expect(stringUtils.graphemeLength('e\u0301')).toBe(1);
+    });
+
+    test('handles non-string input', () => {
+      expect(stringUtils.graphemeLength(123)).toBe(0);
+    });
   });
   
   describe('truncate', () => {
@@ -44,11 +67,33 @@ describe('String Utilities', () => {
       const longStr = 'This is a string that is longer than thirty characters and should be truncated';
       expect(stringUtils.truncate(longStr)).toBe('This is a string that is longer...');
     });
+
+    test('never splits an emoji', () => {
+      expect(stringUtils.truncate('👍🏽👍🏽👍🏽', 2)).toBe('👍🏽👍🏽...');
+      expect(stringUtils.truncate('🇫🇷🇩🇪🇯🇵', 1, { wordBoundary: false })).toBe('🇫🇷...');
+    });
+
+    test('drops the partial word with wordBoundary "before"', () => {
+      expect(stringUtils.truncate('A wonderful day', 5, { wordBoundary: 'before' })).toBe('A...');
+    });
+
+    test('cuts a single long word when there is no earlier boundary', () => {
+      expect(stringUtils.truncate('Supercalifragilistic', 5, { wordBoundary: 'before' })).toBe('Super...');
+    });
+
+    test('cuts exactly at maxLength without wordBoundary', () => {
+      expect(stringUtils.truncate('A wonderful day', 5, { wordBoundary: false })).toBe('A won...');
+    });
+
+    test('supports a custom ellipsis', () => {
+      expect(stringUtils.truncate('A wonderful day', 11, { ellipsis: '…' })).toBe('A wonderful…');
+      expect(stringUtils.truncate('A wonderful day', 11, { ellipsis: '' })).toBe('A wonderful');
+    });
   });
   
   describe('countWords', () => {
     test('counts words correctly', () => {
-      expect(stringUtils.countWords('This has five words in it')).toBe(5);
+      expect(stringUtils.countWords('This has five words in it')).toBe(6);
     });
     
     test('handles extra spaces', () => {
@@ -62,6 +107,76 @@ describe('String Utilities', () => {
     test('handles non-string input', () => {
       expect(stringUtils.countWords(123)).toBe(0);
     });
+
+    test('segments languages written without spaces', () => {
+      expect(stringUtils.countWords('我喜欢学习中文', { locale: 'zh' })).toBe(4);
+      expect(stringUtils.countWords('今日はいい天気ですね', { locale: 'ja' })).toBeGreaterThan(1);
+    });
+
+    test('does not count punctuation or lone dashes', () => {
+      expect(stringUtils.countWords('Wait - what?! ... Really.')).toBe(3);
+    });
+
+    test('counts hyphenated compounds and contractions as one word', () => {
+      expect(stringUtils.countWords("A well-known, state-of-the-art tool; don't worry")).toBe(6);
+    });
+  });
+
+  describe('segmentWords', () => {
+    test('returns the words', () => {
+      expect(stringUtils.segmentWords("It's a well-known fact - 42 times!")).toEqual(["It's", 'a', 'well-known', 'fact', '42', 'times']);
+      expect(stringUtils.segmentWords('我喜欢学习中文', { locale: 'zh' })).toEqual(['我', '喜欢', '学习', '中文']);
+    });
+
+    test('handles non-string input', () => {
+      expect(stringUtils.segmentWords(null)).toEqual([]);
+    });
+  });
+
+  describe('textStats', () => {
+    test('counts words, sentences, characters and graphemes', () => {
+      const stats = stringUtils.textStats('Hello there! How are you? Fine 👍🏽.', { locale: 'en' });
+      expect(stats).toMatchObject({ words: 6, sentences: 3, characters: 34, graphemes: 33 });
+    });
+
+    test('estimates the reading time', () => {
+      const text = 'word '.repeat(450);
+      expect(stringUtils.textStats(text).readingTime).toEqual({ minutes: 3, seconds: 135 });
+      expect(stringUtils.textStats(text, { wordsPerMinute: 300 }).readingTime).toEqual({ minutes: 2, seconds: 90 });
+    });
+
+    test('computes Flesch readability for English', () => {
+      const { readability } = stringUtils.textStats('The cat sat on the mat.', { locale: 'en-GB' });
+      expect(readability).toEqual({ syllables: 6, fleschReadingEase: 116.1, fleschKincaidGrade: -1.4 });
+
+      const hard = stringUtils.textStats(
+        'Comprehensive institutional documentation necessitates considerable organizational deliberation.',
+        { locale: 'en' }
+      );
+      expect(hard.readability.fleschReadingEase).toBeLessThan(0);
+    });
+
+    test('counts a final "es" as a syllable only after a hissing sound', () => {
+      const syllables = (word) => stringUtils.textStats(word, { locale: 'en' }).readability.syllables;
+      expect(['makes', 'times', 'made'].map(syllables)).toEqual([1, 1, 1]);
+      expect(['boxes', 'wishes', 'places'].map(syllables)).toEqual([2, 2, 2]);
+    });
+
+    test('skips readability for other languages', () => {
+      const stats = stringUtils.textStats('我喜欢学习中文。你呢？', { locale: 'zh' });
+      expect(stats).toMatchObject({ words: 6, sentences: 2, readability: null });
+    });
+
+    test('handles empty and non-string input', () => {
+      expect(stringUtils.textStats(42, { locale: 'en' })).toEqual({
+        words: 0,
+        sentences: 0,
+        characters: 0,
+        graphemes: 0,
+        readingTime: { minutes: 0, seconds: 0 },
+        readability: null
+      });
+    });
   });
   
   describe('slugify', () => {
@@ -80,5 +195,319 @@ describe('String Utilities', () => {
     test('trims hyphens from ends', () => {
       expect(stringUtils.slugify('- Trim hyphens -')).toBe('trim-hyphens');
     });
+
+    test('transliterates accented letters', () => {
+      expect(stringUtils.slugify('Café Ünïcode')).toBe('cafe-unicode');
+      expect(stringUtils.slugify('Crème Brûlée à la carte')).toBe('creme-brulee-a-la-carte');
+    });
+
+    test('transliterates letters without a decomposition', () => {
+      expect(stringUtils.slugify('Große Straße')).toBe('grosse-strasse');
+      expect(stringUtils.slugify('Ærøskøbing Łódź')).toBe('aeroskobing-lodz');
+    });
+
+    test('keeps letters of other scripts', () => {
+      expect(stringUtils.slugify('Привет мир')).toBe('привет-мир');
+    });
+  });
+
+  describe('splitWords', () => {
+    test('splits on separators and case changes', () => {
+      expect(stringUtils.splitWords('  hello_world-foo bar ')).toEqual(['hello', 'world', 'foo', 'bar']);
+      expect(stringUtils.splitWords('parseHTTPResponse')).toEqual(['parse', 'HTTP', 'Response']);
+      expect(stringUtils.splitWords('XMLHttpRequest')).toEqual(['XML', 'Http', 'Request']);
+    });
+
+    test('keeps digits with the word before them', () => {
+      expect(stringUtils.splitWords('base64Encode')).toEqual(['base64', 'Encode']);
+      expect(stringUtils.splitWords('HTML5Parser')).toEqual(['HTML5', 'Parser']);
+      expect(stringUtils.splitWords('version 2 update')).toEqual(['version', '2', 'update']);
+    });
+
+    test('keeps apostrophes inside words', () => {
+      expect(stringUtils.splitWords("don't 'quote' me")).toEqual(["don't", 'quote', 'me']);
+    });
+
+    test('handles non-string input', () => {
+      expect(stringUtils.splitWords(123)).toEqual([]);
+    });
+  });
+
+  describe('case conversions', () => {
+    const inputs = ['parseHTTPResponse', 'parse_http_response', 'Parse HTTP response', 'PARSE-HTTP-RESPONSE'];
+
+    test.each(inputs)('camelCase(%p)', (input) => {
+      expect(stringUtils.camelCase(input)).toBe('parseHttpResponse');
+    });
+
+    test.each(inputs)('pascalCase(%p)', (input) => {
+      expect(stringUtils.pascalCase(input)).toBe('ParseHttpResponse');
+    });
+
+    test.each(inputs)('snakeCase(%p)', (input) => {
+      expect(stringUtils.snakeCase(input)).toBe('parse_http_response');
+    });
+
+    test.each(inputs)('kebabCase(%p)', (input) => {
+      expect(stringUtils.kebabCase(input)).toBe('parse-http-response');
+    });
+
+    test.each(inputs)('constantCase(%p)', (input) => {
+      expect(stringUtils.constantCase(input)).toBe('PARSE_HTTP_RESPONSE');
+    });
+
+    test('handle digits', () => {
+      expect(stringUtils.camelCase('base64 encode')).toBe('base64Encode');
+      expect(stringUtils.snakeCase('HTML5Parser')).toBe('html5_parser');
+      expect(stringUtils.kebabCase('version 2 update')).toBe('version-2-update');
+    });
+
+    test('drop apostrophes', () => {
+      expect(stringUtils.camelCase("don't stop")).toBe('dontStop');
+    });
+
+    test('keep non-ASCII letters', () => {
+      expect(stringUtils.pascalCase('école normale')).toBe('ÉcoleNormale');
+      expect(stringUtils.constantCase('straße name')).toBe('STRASSE_NAME');
+    });
+
+    test('handle empty and non-string input', () => {
+      expect(stringUtils.camelCase('')).toBe('');
+      expect(stringUtils.snakeCase(null)).toBe('');
+      expect(stringUtils.constantCase(123)).toBe('');
+    });
+  });
+
+  describe('titleCase', () => {
+    test('capitalizes words and keeps small words lowercase', () => {
+      expect(stringUtils.titleCase('the lord of the rings')).toBe('The Lord of the Rings');
+    });
+
+    test('capitalizes small words at the start and end', () => {
+      expect(stringUtils.titleCase('a tale to die for')).toBe('A Tale to Die For');
+    });
+
+    test('keeps acronyms', () => {
+      expect(stringUtils.titleCase('parseHTTPResponse')).toBe('Parse HTTP Response');
+    });
+
+    test('lowercases all-caps input first', () => {
+      expect(stringUtils.titleCase('BREAKING NEWS FROM THE CITY')).toBe('Breaking News From the City');
+    });
+
+    test('accepts custom small words', () => {
+      expect(stringUtils.titleCase('war and peace', { smallWords: [] })).toBe('War And Peace');
+      const smallWords = [...stringUtils.TITLE_SMALL_WORDS, 'with'];
+      expect(stringUtils.titleCase('gone with the wind', { smallWords })).toBe('Gone with the Wind');
+    });
+
+    test('handles non-string input', () => {
+      expect(stringUtils.titleCase(undefined)).toBe('');
+    });
+  });
+
+  describe('levenshtein', () => {
+    test('counts insertions, deletions and substitutions', () => {
+      expect(stringUtils.levenshtein('kitten', 'sitting')).toBe(3);
+      expect(stringUtils.levenshtein('flaw', 'lawn')).toBe(2);
+      expect(stringUtils.levenshtein('same', 'same')).toBe(0);
+      expect(stringUtils.levenshtein('', 'abc')).toBe(3);
+    });
+
+    test('counts a swap as two edits', () => {
+      expect(stringUtils.levenshtein('teh', 'the')).toBe(2);
+    });
+
+    test('counts emoji as one character', () => {
+      expect(stringUtils.levenshtein('a😀', 'a😃')).toBe(1);
+    });
+
+    test('gives up beyond maxDistance', () => {
+      expect(stringUtils.levenshtein('kitten', 'sitting', { maxDistance: 3 })).toBe(3);
+      expect(stringUtils.levenshtein('kitten', 'sitting', { maxDistance: 2 })).toBe(Infinity);
+      expect(stringUtils.levenshtein('a', 'abcdef', { maxDistance: 2 })).toBe(Infinity);
+    });
+
+    test('treats non-string input as empty', () => {
+      expect(stringUtils.levenshtein(null, 'ab')).toBe(2);
+    });
+  });
+
+  describe('damerauLevenshtein', () => {
+    test('counts a swap of adjacent characters as one edit', () => {
+      expect(stringUtils.damerauLevenshtein('teh', 'the')).toBe(1);
+      expect(stringUtils.damerauLevenshtein('abcdef', 'badcfe')).toBe(3);
+    });
+
+    test('does not edit a substring twice (optimal string alignment)', () => {
+      expect(stringUtils.damerauLevenshtein('ca', 'abc')).toBe(3);
+    });
+
+    test('agrees with levenshtein without swaps', () => {
+      expect(stringUtils.damerauLevenshtein('kitten', 'sitting')).toBe(3);
+    });
+
+    test('gives up beyond maxDistance', () => {
+      expect(stringUtils.damerauLevenshtein('teh', 'the', { maxDistance: 1 })).toBe(1);
+      expect(stringUtils.damerauLevenshtein('kitten', 'sitting', { maxDistance: 1 })).toBe(Infinity);
+    });
+  });
+
+  describe('jaroWinkler', () => {
+    test('matches known values', () => {
+      expect(stringUtils.jaroWinkler('MARTHA', 'MARHTA')).toBeCloseTo(0.961, 3);
+      expect(stringUtils.jaroWinkler('DWAYNE', 'DUANE')).toBeCloseTo(0.84, 3);
+      expect(stringUtils.jaroWinkler('DIXON', 'DICKSONX')).toBeCloseTo(0.813, 3);
+    });
+
+    test('returns 1 for identical and 0 for unrelated strings', () => {
+      expect(stringUtils.jaroWinkler('same', 'same')).toBe(1);
+      expect(stringUtils.jaroWinkler('', '')).toBe(1);
+      expect(stringUtils.jaroWinkler('abc', 'xyz')).toBe(0);
+      expect(stringUtils.jaroWinkler('abc', '')).toBe(0);
+    });
+
+    test('prefixScale controls the common prefix bonus', () => {
+      const jaro = stringUtils.jaroWinkler('MARTHA', 'MARHTA', { prefixScale: 0 });
+      expect(jaro).toBeCloseTo(0.944, 3);
+      expect(stringUtils.jaroWinkler('MARTHA', 'MARHTA')).toBeGreaterThan(jaro);
+    });
+  });
+
+  describe('fuzzySearch', () => {
+    const languages = ['JavaScript', 'TypeScript', 'Java', 'CoffeeScript', 'Python', 'Rust'];
+    const items = (results) => results.map((result) => result.item);
+
+    test('ranks an exact match first, then prefixes, then substrings', () => {
+      expect(items(stringUtils.fuzzySearch('java', languages))).toEqual(['Java', 'JavaScript']);
+      const [first] = stringUtils.fuzzySearch('java', languages);
+      expect(first).toEqual({ item: 'Java', index: 2, score: 1, ranges: [[0, 4]] });
+    });
+
+    test('keeps the list order for equal scores', () => {
+      expect(items(stringUtils.fuzzySearch('script', languages)))
+        .toEqual(['JavaScript', 'TypeScript', 'CoffeeScript']);
+    });
+
+    test('matches characters in order with gaps', () => {
+      const [result] = stringUtils.fuzzySearch('jvscr', languages);
+      expect(result.item).toBe('JavaScript');
+      expect(result.ranges).toEqual([[0, 1], [2, 3], [4, 7]]);
+      expect(result.score).toBeLessThan(0.8);
+    });
+
+    test('tolerates typos', () => {
+      const [result] = stringUtils.fuzzySearch('pyhton', languages);
+      expect(result.item).toBe('Python');
+      expect(result.ranges).toEqual([[0, 6]]);
+    });
+
+    test('does not allow typos in very short queries', () => {
+      expect(stringUtils.fuzzySearch('rs', ['Ruby'])).toEqual([]);
+      expect(stringUtils.fuzzySearch('pyhton', languages, { maxTypos: 0 })).toEqual([]);
+    });
+
+    test('is case-insensitive unless asked', () => {
+      expect(items(stringUtils.fuzzySearch('RUST', languages))).toEqual(['Rust']);
+      expect(stringUtils.fuzzySearch('RUST', languages, { caseSensitive: true, maxTypos: 0 })).toEqual([]);
+    });
+
+    test('searches objects by key', () => {
+      const people = [{ name: 'Grace Hopper' }, { name: 'Ada Lovelace' }];
+      expect(items(stringUtils.fuzzySearch('ada', people, { key: 'name' }))).toEqual([people[1]]);
+      expect(items(stringUtils.fuzzySearch('hopper', people, { key: (person) => person.name })))
+        .toEqual([people[0]]);
+    });
+
+    test('applies threshold and limit', () => {
+      expect(items(stringUtils.fuzzySearch('script', languages, { limit: 2 })))
+        .toEqual(['JavaScript', 'TypeScript']);
+      expect(stringUtils.fuzzySearch('jvscr', languages, { threshold: 0.8 })).toEqual([]);
+    });
+
+    test('returns an empty list for bad input', () => {
+      expect(stringUtils.fuzzySearch('', languages)).toEqual([]);
+      expect(stringUtils.fuzzySearch('java', null)).toEqual([]);
+    });
+  });
+
+  describe('template', () => {
+    test('fills dotted paths', () => {
+      expect(stringUtils.template('Hello {{user.name}}!', { user: { name: 'Ada' } })).toBe('Hello Ada!');
+      expect(stringUtils.template('{{ items.1 }}', { items: ['a', 'b'] })).toBe('b');
+    });
+
+    test('renders missing values as nothing', () => {
+      expect(stringUtils.template('[{{ missing.deeply.nested }}]', {})).toBe('[]');
+      expect(stringUtils.template('[{{ name }}]')).toBe('[]');
+      expect(stringUtils.template('{{ count }}', { count: 0 })).toBe('0');
+    });
+
+    test('applies filters from left to right', () => {
+      const data = { user: { name: 'ada lovelace' } };
+      expect(stringUtils.template('Hello {{user.name | upper}}', data)).toBe('Hello ADA LOVELACE');
+      expect(stringUtils.template('{{ user.name | title }}', data)).toBe('Ada Lovelace');
+      expect(stringUtils.template('{{ user.name | upper | lower | capitalize }}', data)).toBe('Ada lovelace');
+      expect(stringUtils.template('/posts/{{ title | slugify }}', { title: 'Café Ünïcode' })).toBe('/posts/cafe-unicode');
+    });
+
+    test('passes filter arguments', () => {
+      const data = { summary: 'A wonderful day at sea', tags: ['a', 'b'] };
+      expect(stringUtils.template('{{ summary | truncate: 11 }}', data)).toBe('A wonderful...');
+      expect(stringUtils.template('{{ summary | truncate: 11, "…" }}', data)).toBe('A wonderful…');
+      expect(stringUtils.template("{{ tags | join: ' / ' }}", data)).toBe('a / b');
+    });
+
+    test('supports default values', () => {
+      expect(stringUtils.template('Hi {{ user.name | default: "Guest" }}', {})).toBe('Hi Guest');
+      expect(stringUtils.template('Hi {{ name | default: "Guest" }}', { name: '' })).toBe('Hi Guest');
+      expect(stringUtils.template('Hi {{ name | default: fallback }}', { fallback: 'you' })).toBe('Hi you');
+      expect(stringUtils.template('{{ count | default: 1 }}', { count: 0 })).toBe('0');
+    });
+
+    test('escapes HTML only when asked', () => {
+      const data = { name: '<script>"x"</script>' };
+      expect(stringUtils.template('{{ name }}', data)).toBe('<script>"x"</script>');
+      expect(stringUtils.template('{{ name }}', data, { escape: true }))
+        .toBe('&lt;script&gt;&quot;x&quot;&lt;/script&gt;');
+      expect(stringUtils.template('{{ name | escape }}', data)).toBe('&lt;script&gt;&quot;x&quot;&lt;/script&gt;');
+    });
+
+    test('never escapes twice, and raw opts out', () => {
+      expect(stringUtils.template('{{ text | escape }}', { text: '&' }, { escape: true })).toBe('&amp;');
+      expect(stringUtils.template('{{ markup | raw }}', { markup: '<b>hi</b>' }, { escape: true })).toBe('<b>hi</b>');
+    });
+
+    test('accepts a custom escape function and custom filters', () => {
+      const options = { escape: (value) => `[${value}]`, filters: { shout: (value) => `${value}!` } };
+      expect(stringUtils.template('{{ word | shout }}', { word: 'hey' }, options)).toBe('[hey!]');
+    });
+
+    test('does not read from the prototype', () => {
+      expect(stringUtils.template('{{ __proto__ }}{{ constructor.name }}', {})).toBe('');
+    });
+
+    test('reports unknown filters and syntax errors', () => {
+      expect(() => stringUtils.template('{{ name | nope }}', {})).toThrow("Unknown template filter 'nope'");
+      expect(() => stringUtils.template('Hi {{ name', {})).toThrow(SyntaxError);
+      expect(() => stringUtils.template('{{ name | }}', {})).toThrow('Expected a filter name');
+      expect(() => stringUtils.template('{{ }}', {})).toThrow('Expected a value');
+    });
+  });
+
+  describe('compileTemplate', () => {
+    test('renders a compiled template many times', () => {
+      const render = stringUtils.compileTemplate('{{ a }}+{{ b }}');
+      expect(render({ a: 1, b: 2 })).toBe('1+2');
+      expect(render({ a: 'x', b: 'y' })).toBe('x+y');
+    });
+
+    test('caches templates by source', () => {
+      expect(stringUtils.compileTemplate('Cached {{ x }}')).toBe(stringUtils.compileTemplate('Cached {{ x }}'));
+    });
+
+    test('rejects non-string templates', () => {
+      expect(() => stringUtils.compileTemplate(42)).toThrow(TypeError);
+    });
   });
-}); 
\ No newline at end of file
+});
@@ -5,6 +5,12 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+// Graceful shutdown helper shared with the core http examples
+const { createShutdownController } = require('../../../02-core-modules/http-toolkit/shutdown');
+// Health, readiness and metrics endpoints (the same middleware works on a plain http server)
+const { createMonitoring } = require('../../../02-core-modules/http-toolkit/monitoring');
+// Streaming br/gzip/deflate compression for every response
+const { createCompression } = require('../../../02-core-modules/http-toolkit/compression');
 
 // Create Express app
 const app = express();
@@ -14,6 +20,16 @@ const PORT = process.env.PORT || 3000;
 const isProduction = process.env.NODE_ENV === 'production';
 console.log(`Server running in ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} mode`);
 
+// Compress responses (HTML, CSS, JS, JSON...) when the client supports it
+app.use(createCompression().middleware);
+
+// /healthz, /readyz and /metrics go first so probes never hit static files or routes
+// Readiness flips to 503 as soon as the graceful shutdown starts draining
+const monitoring = createMonitoring({
+  isReady: () => shutdown.isReady()
+});
+app.use(monitoring.middleware);
+
 // Serve static files from dist directory
 app.use(express.static(path.join(__dirname, '../dist')));
 
@@ -31,7 +47,8 @@ app.get('/api/info', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+// app.listen() returns the underlying http.Server, which we need for graceful shutdown
+const server = app.listen(PORT, () => {
   console.log(`
   =================================================
     Server started on http://localhost:${PORT}
@@ -44,6 +61,15 @@ app.listen(PORT, () => {
     console.log('  Available routes:');
     console.log('  - GET / - Homepage');
     console.log('  - GET /api/info - Server info');
+    console.log('  - GET /healthz, /readyz, /metrics - Monitoring probes');
     console.log('  =================================================\n');
   }
-}); 
\ No newline at end of file
+}); 
+
+// Drain in-flight requests on SIGTERM/SIGINT instead of dropping them
+const shutdown = createShutdownController(server, {
+  timeout: isProduction ? 30000 : 5000
+});
+
+shutdown.onShutdown('monitoring', () => monitoring.stop());
+shutdown.installSignalHandlers();
@@ -275,30 +275,48 @@ console.log('\n📚 PART 4: Monitoring Your Event Loop');
  */
 
 // A simple event loop lag monitor
-function monitorEventLoopLag() {
-  let lastCheck = Date.now();
+// Returns a handle whose stop() reports the largest and average lag seen
+function monitorEventLoopLag(options = {}) {
+  // Check the lag every 100ms by default
+  const expectedInterval = options.interval || 100;
+  // If we're more than 50ms late, the event loop was likely blocked
+  const threshold = options.threshold === undefined ? 50 : options.threshold;
+  // Stop monitoring after 10 seconds by default
+  const duration = options.duration === undefined ? 10000 : options.duration;
   
-  // Check the lag every 100ms
-  const expectedInterval = 100;
+  let lastCheck = Date.now();
+  let maxLag = 0;
+  let totalLag = 0;
+  let samples = 0;
   
   const interval = setInterval(() => {
     const now = Date.now();
-    const drift = now - lastCheck - expectedInterval;
+    const drift = Math.max(0, now - lastCheck - expectedInterval);
+    
+    maxLag = Math.max(maxLag, drift);
+    totalLag += drift;
+    samples++;
     
-    if (drift > 50) { // If we're more than 50ms late, the event loop was likely blocked
+    if (drift > threshold) {
       console.log(`⚠️ Event Loop Lag Detected: ${drift}ms`);
     }
     
     lastCheck = now;
   }, expectedInterval);
   
-  // Stop monitoring after 10 seconds
-  setTimeout(() => {
+  function stop() {
     clearInterval(interval);
+    clearTimeout(stopTimer);
+    return { maxLag, averageLag: samples ? totalLag / samples : 0 };
+  }
+  
+  const stopTimer = duration ? setTimeout(() => {
+    stop();
     console.log('Event loop monitoring stopped');
-  }, 10000);
+  }, duration) : null;
   
-  console.log('Started monitoring event loop lag');
+  if (!options.quiet) console.log('Started monitoring event loop lag');
+  return { stop };
 }
 
 // Start monitoring
@@ -315,6 +333,66 @@ setTimeout(() => {
   blockingOperation(300);
 }, 3000);
 
+// ========================================================
+// PART 5: LOGGING CAN BLOCK TOO
+// ========================================================
+
+/**
+ * console.log and fs.writeSync are synchronous: every log line makes the
+ * event loop wait for a write. One line is cheap, thousands per second are not.
+ *
+ * The factory logger from the modules chapter has a buffered mode that only
+ * appends records to an array and writes them in batches (see
+ * bufferedTransport in 03-modules-and-exports/module-patterns/transports.js).
+ * Let's measure the difference with the lag monitor from PART 4.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../03-modules-and-exports/module-patterns/logger');
+const { fileTransport } = require('../03-modules-and-exports/module-patterns/transports');
+
+// Logs `perBurst` records every 20ms for one second while measuring the lag
+function measureLoggingLag(label, loggerOptions, callback) {
+  const filename = path.join(os.tmpdir(), `avoiding-blocking-${process.pid}-${label}.log`);
+  const log = createLogger({
+    name: label,
+    transports: [fileTransport({ filename })],
+    ...loggerOptions
+  });
+  
+  const monitor = monitorEventLoopLag({ interval: 10, threshold: Infinity, duration: 0, quiet: true });
+  const perBurst = 2000;
+  let bursts = 0;
+  
+  const timer = setInterval(() => {
+    for (let i = 0; i < perBurst; i++) {
+      log.info({ requestId: i, status: 200 }, 'Request handled');
+    }
+    
+    if (++bursts === 50) {
+      clearInterval(timer);
+      const { maxLag, averageLag } = monitor.stop();
+      log.close();
+      fs.unlinkSync(filename);
+      console.log(`  ${label}: max lag ${maxLag}ms, average lag ${averageLag.toFixed(1)}ms`);
+      if (callback) callback();
+    }
+  }, 20);
+}
+
+setTimeout(() => {
+  console.log('\n📚 PART 5: Logging Can Block Too');
+  console.log('Writing 100,000 log records to a file in bursts...');
+  
+  measureLoggingLag('synchronous', {}, () => {
+    measureLoggingLag('buffered', { buffer: { batchSize: 1000, maxBuffered: 100000 } }, () => {
+      console.log('Compare the numbers: the buffered logger should show less lag');
+    });
+  });
+}, 5000);
+
 // ========================================================
 // CONCLUSION
 // ========================================================
@@ -328,7 +406,8 @@ setTimeout(() => {
   console.log('5. Consider worker threads for CPU-intensive tasks');
   console.log('6. Monitor your event loop for detecting bottlenecks');
   console.log("7. Remember: Node.js excels at I/O, not CPU-intensive tasks");
-}, 5000);
+  console.log('8. Buffer your logs when you log a lot: every synchronous write blocks');
+}, 8000);
 
 /**
  * REMEMBER:
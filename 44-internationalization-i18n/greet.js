@@ -0,0 +1,222 @@
+// greet.js - Locale-aware greetings from a message catalog
+
+/**
+ * "Hello, " + name + "!" works in one language only. Other languages greet
+ * differently depending on the time of day, put the name somewhere else
+ * ("おはようございます、Adaさん！"), space punctuation differently ("Bonjour, Ada !")
+ * and have their own plural rules.
+ *
+ * So the code never contains the text itself: it picks a message by key from
+ * a catalog (one JSON file per language in locales/) and formats it with
+ * values (see message-format.js).
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Message catalog: translators edit locales/*.json, the code only knows the keys
+ * 2. Locale negotiation: 'fr-CA' falls back to 'fr', anything unknown to English;
+ *    an Accept-Language header works too
+ * 3. Time of day: morning, afternoon, evening or night in the user's time zone
+ * 4. Names: only names typed all in one case are re-cased ("mary-jane" -> "Mary-Jane");
+ *    "McDonald" and "van der Berg" are kept exactly as written
+ */
+
+const { formatMessage } = require('./message-format');
+
+/**
+ * The built-in catalog: language -> message key -> ICU message
+ */
+const catalog = {
+  en: require('./locales/en.json'),
+  fr: require('./locales/fr.json'),
+  de: require('./locales/de.json'),
+  ja: require('./locales/ja.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Picks the best supported locale
+ *
+ * @param {string|string[]} [requested] - A tag ('fr-CA'), a list in order of preference,
+ *   or an Accept-Language header ('fr-CH, fr;q=0.9, en;q=0.8')
+ * @param {string[]} [supported] - Available locales (default: the catalog's)
+ * @param {string} [fallback='en'] - Used when nothing matches
+ * @returns {string} One of the supported locales
+ */
+function matchLocale(requested, supported = Object.keys(catalog), fallback = DEFAULT_LOCALE) {
+  let wanted = [];
+
+  if (Array.isArray(requested)) {
+    wanted = requested;
+  } else if (typeof requested === 'string') {
+    // Accept-Language: highest q first; entries without q count as 1
+    wanted = requested.split(',')
+      .map((part) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1 };
+      })
+      .filter((entry) => entry.tag && entry.tag !== '*' && entry.q > 0)
+      .sort((a, b) => b.q - a.q)
+      .map((entry) => entry.tag);
+  }
+
+  for (const tag of wanted) {
+    let candidate;
+    try {
+      [candidate] = Intl.getCanonicalLocales(tag);
+    } catch (error) {
+      continue; // not a valid language tag
+    }
+
+    // Try 'zh-Hant-TW', then 'zh-Hant', then 'zh'
+    while (candidate) {
+      const match = supported.find((locale) => locale.toLowerCase() === candidate.toLowerCase());
+      if (match) return match;
+      candidate = candidate.includes('-') ? candidate.slice(0, candidate.lastIndexOf('-')) : null;
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Tells which part of the day it is
+ *
+ * @param {Date} [date=new Date()] - The moment
+ * @param {string} [timeZone] - IANA time zone, e.g. 'Asia/Tokyo' (default: the system's)
+ * @returns {'morning'|'afternoon'|'evening'|'night'} 5-12, 12-18, 18-22, 22-5
+ */
+function getDayPeriod(date = new Date(), timeZone) {
+  const hour = Number(new Intl.DateTimeFormat('en', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 18) return 'afternoon';
+  if (hour >= 18 && hour < 22) return 'evening';
+  return 'night';
+}
+
+// Lowercase words that stay lowercase inside a name ("Ludwig van Beethoven")
+const NAME_PARTICLES = new Set([
+  'al', 'bin', 'da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du',
+  'la', 'le', 'ibn', 'ten', 'ter', 'van', 'von', 'y', 'zu'
+]);
+
+/**
+ * Capitalizes a name that was typed all lowercase or all uppercase
+ *
+ * A name with both cases is assumed to be written the way its owner writes
+ * it and is returned unchanged (apart from extra spaces), because rules
+ * can't know that "McDonald" or "van der Berg" are right. Casing follows the
+ * locale, e.g. Turkish 'i' -> 'İ'.
+ *
+ * @param {string} name - The name as typed
+ * @param {string} [locale='en'] - For locale-specific upper and lower case
+ * @returns {string} The formatted name
+ *
+ * @example
+ * formatName('mary-jane o\'brien'); // "Mary-Jane O'Brien"
+ * formatName('LUDWIG VAN BEETHOVEN'); // 'Ludwig van Beethoven'
+ * formatName('McDonald'); // 'McDonald'
+ */
+function formatName(name, locale = DEFAULT_LOCALE) {
+  const trimmed = String(name).trim().replace(/\s+/g, ' ');
+  const lower = trimmed.toLocaleLowerCase(locale);
+  if (trimmed !== lower && trimmed !== trimmed.toLocaleUpperCase(locale)) return trimmed;
+
+  return lower
+    .split(' ')
+    .map((word, index) => {
+      if (index > 0 && NAME_PARTICLES.has(word)) return word;
+      // Each part of "mary-jane" and "o'brien" starts with a capital
+      return word.replace(/(^|[-'’])(\p{Ll})/gu, (match, separator, letter) =>
+        separator + letter.toLocaleUpperCase(locale));
+    })
+    .join(' ');
+}
+
+/**
+ * Creates a greeter for one locale
+ *
+ * @param {Object} [options]
+ * @param {string|string[]} [options.locale] - Wanted locale(s) or an Accept-Language header
+ * @param {string} [options.timeZone] - IANA time zone of the person being greeted
+ * @param {Object} [options.messages] - Extra catalog entries, e.g. { es: { greeting: '...' } }
+ * @returns {Object} The greeter
+ *
+ * @example
+ * const greeter = createGreeter({ locale: 'de-AT', timeZone: 'Europe/Vienna' });
+ * greeter.greet('ada', { unread: 2 }); // 'Guten Morgen, Ada! Sie haben 2 neue Nachrichten.'
+ */
+function createGreeter(options = {}) {
+  const messages = { ...catalog };
+  Object.entries(options.messages || {}).forEach(([locale, entries]) => {
+    messages[locale] = { ...messages[locale], ...entries };
+  });
+
+  const locale = matchLocale(options.locale, Object.keys(messages));
+
+  /**
+   * Formats a catalog message, falling back to English for missing keys
+   */
+  function format(key, values) {
+    const message = messages[locale][key] ?? messages[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+      throw new Error(`Unknown message '${key}'`);
+    }
+    return formatMessage(message, values, locale);
+  }
+
+  return {
+    locale,
+    format,
+    formatName: (name) => formatName(name, locale),
+
+    /**
+     * Greets someone
+     *
+     * @param {string} name - The name as typed
+     * @param {Object} [greetOptions]
+     * @param {string} [greetOptions.greeting] - Use this greeting instead of one for the time of day
+     * @param {Date} [greetOptions.date=new Date()] - Moment used to pick the greeting
+     * @param {number} [greetOptions.unread] - Adds "You have N new messages."
+     * @param {number} [greetOptions.visitors] - Adds "N other people are here."
+     * @returns {string} The greeting
+     */
+    greet: function(name, greetOptions = {}) {
+      const values = { name: formatName(name, locale) };
+      const sentences = [greetOptions.greeting
+        ? format('custom', { ...values, greeting: greetOptions.greeting })
+        : format('greeting', { ...values, period: getDayPeriod(greetOptions.date, options.timeZone) })];
+
+      if (greetOptions.unread !== undefined) sentences.push(format('unread', { count: greetOptions.unread }));
+      if (greetOptions.visitors !== undefined) sentences.push(format('visitors', { count: greetOptions.visitors }));
+
+      // Japanese sentences are not separated by spaces
+      return sentences.join(locale === 'ja' ? '' : ' ');
+    }
+  };
+}
+
+/**
+ * Greets someone in one call
+ *
+ * @param {string} name - The name as typed
+ * @param {Object} [options] - createGreeter() options and greet() options together
+ * @returns {string} The greeting
+ *
+ * @example
+ * greet('ada'); // 'Good evening, Ada!' (after 6 pm)
+ * greet('jean-luc', { locale: 'fr', unread: 1 }); // 'Bonjour, Jean-Luc ! Vous avez 1 nouveau message.'
+ */
+function greet(name, options = {}) {
+  return createGreeter(options).greet(name, options);
+}
+
+module.exports = {
+  greet,
+  createGreeter,
+  formatName,
+  getDayPeriod,
+  matchLocale,
+  catalog
+};
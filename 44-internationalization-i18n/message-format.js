@@ -0,0 +1,252 @@
+// message-format.js - ICU-style messages with plural and select
+
+/**
+ * Translated messages can't be built by gluing strings together: word order
+ * changes between languages, and so do plural rules. English has "1 message"
+ * and "2 messages"; Japanese has one form; Polish has four. ICU MessageFormat
+ * (used by most translation tools) puts those choices inside the message,
+ * so translators control them:
+ *
+ *   'You have {count, plural, =0 {no messages} one {# message} other {# messages}}.'
+ *
+ * This module supports the common subset of that syntax.
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. Arguments: {name} inserts a value; {n, number} and {d, date, short} format it for the locale
+ * 2. plural: picks a branch with Intl.PluralRules (zero, one, two, few, many, other);
+ *    =0 matches an exact number and # prints the number
+ * 3. select: picks a branch by value, e.g. {period, select, morning {...} other {...}}
+ * 4. Quoting: '' prints an apostrophe, '{' prints a literal brace
+ *    (a lone apostrophe, as in French "l'heure", needs no escaping)
+ * 5. Parse once: messages are compiled and cached, formatters are cached per locale
+ */
+
+/**
+ * Parses a message into a list of nodes
+ *
+ * Nodes are strings, or objects:
+ * { type: 'argument', name, format?, style? }, { type: 'pound' },
+ * { type: 'plural' | 'selectordinal', name, offset, options },
+ * { type: 'select', name, options } where options maps a key to a node list.
+ */
+function parse(message) {
+  let position = 0;
+
+  const fail = (problem) => {
+    throw new SyntaxError(`${problem} at position ${position} in message '${message}'`);
+  };
+
+  const skipSpaces = () => {
+    while (/\s/.test(message[position] || '')) position++;
+  };
+
+  // A name, keyword or selector: everything up to a space, comma or brace
+  const readWord = () => {
+    skipSpaces();
+    const start = position;
+    while (position < message.length && !/[\s,{}]/.test(message[position])) position++;
+    return message.slice(start, position);
+  };
+
+  const expect = (char) => {
+    skipSpaces();
+    if (message[position] !== char) fail(`Expected '${char}'`);
+    position++;
+  };
+
+  // Text and placeholders until the end of the message or of a branch ('}')
+  function parseNodes(inPlural) {
+    const nodes = [];
+    let text = '';
+
+    while (position < message.length) {
+      const char = message[position];
+
+      if (char === "'") {
+        const next = message[position + 1];
+        if (next === "'") {
+          text += "'";
+          position += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          // Quoted text runs until the next single apostrophe
+          const end = message.indexOf("'", position + 1);
+          text += message.slice(position + 1, end === -1 ? message.length : end);
+          position = end === -1 ? message.length : end + 1;
+        } else {
+          text += char;
+          position++;
+        }
+      } else if (char === '{') {
+        if (text) nodes.push(text);
+        text = '';
+        position++;
+        nodes.push(parsePlaceholder());
+      } else if (char === '}') {
+        break;
+      } else if (char === '#' && inPlural) {
+        if (text) nodes.push(text);
+        text = '';
+        nodes.push({ type: 'pound' });
+        position++;
+      } else {
+        text += char;
+        position++;
+      }
+    }
+
+    if (text) nodes.push(text);
+    return nodes;
+  }
+
+  // After '{': name, optional type and style, then '}'
+  function parsePlaceholder() {
+    const name = readWord();
+    if (!name) fail('Expected an argument name');
+    skipSpaces();
+
+    if (message[position] === '}') {
+      position++;
+      return { type: 'argument', name };
+    }
+
+    expect(',');
+    const type = readWord();
+
+    if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+      expect(',');
+      const node = { type, name, offset: 0, options: {} };
+
+      skipSpaces();
+      if (type !== 'select' && message.startsWith('offset:', position)) {
+        position += 'offset:'.length;
+        node.offset = Number(readWord());
+        if (!Number.isFinite(node.offset)) fail('Expected a number after offset:');
+      }
+
+      for (;;) {
+        skipSpaces();
+        if (message[position] === '}') break;
+        const key = readWord();
+        if (!key) fail('Expected a selector');
+        expect('{');
+        node.options[key] = parseNodes(type !== 'select');
+        expect('}');
+      }
+      position++;
+
+      if (!node.options.other) fail(`The ${type} of '${name}' needs an 'other' branch`);
+      return node;
+    }
+
+    if (type === 'number' || type === 'date' || type === 'time') {
+      skipSpaces();
+      let style;
+      if (message[position] === ',') {
+        position++;
+        style = readWord();
+      }
+      expect('}');
+      return { type: 'argument', name, format: type, style };
+    }
+
+    return fail(`Unknown argument type '${type}'`);
+  }
+
+  const nodes = parseNodes(false);
+  if (position < message.length) fail("Unexpected '}'");
+  return nodes;
+}
+
+// Compiled messages by source text
+const compiled = new Map();
+
+/**
+ * Parses a message once and caches the result
+ *
+ * @param {string} message - The ICU message
+ * @returns {Array} The parsed nodes
+ * @throws {SyntaxError} If the message is malformed
+ */
+function compileMessage(message) {
+  if (typeof message !== 'string') throw new TypeError('The message must be a string');
+  if (!compiled.has(message)) compiled.set(message, parse(message));
+  return compiled.get(message);
+}
+
+// Intl formatters are slow to create, so each one is made once per locale and options
+const formatters = new Map();
+
+function getFormatter(Constructor, locale, options) {
+  const key = `${Constructor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Constructor(locale, options));
+  return formatters.get(key);
+}
+
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' }
+};
+
+function formatArgument(node, value, locale) {
+  if (node.format === 'number') {
+    return getFormatter(Intl.NumberFormat, locale, NUMBER_STYLES[node.style] || {}).format(value);
+  }
+  if (node.format === 'date' || node.format === 'time') {
+    const style = node.style || 'medium';
+    const options = node.format === 'date' ? { dateStyle: style } : { timeStyle: style };
+    return getFormatter(Intl.DateTimeFormat, locale, options).format(value);
+  }
+  if (typeof value === 'number') return getFormatter(Intl.NumberFormat, locale, {}).format(value);
+  return String(value);
+}
+
+function formatNodes(nodes, values, locale, pluralValue) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') return node;
+    if (node.type === 'pound') return getFormatter(Intl.NumberFormat, locale, {}).format(pluralValue);
+
+    if (!(node.name in values)) {
+      throw new Error(`Missing value for '${node.name}'`);
+    }
+    const value = values[node.name];
+
+    if (node.type === 'argument') return formatArgument(node, value, locale);
+
+    if (node.type === 'select') {
+      const branch = node.options[String(value)] || node.options.other;
+      return formatNodes(branch, values, locale, pluralValue);
+    }
+
+    // plural and selectordinal: an exact match (=2) wins over the plural category
+    const number = Number(value);
+    const relative = number - node.offset;
+    const rules = getFormatter(Intl.PluralRules, locale, {
+      type: node.type === 'selectordinal' ? 'ordinal' : 'cardinal'
+    });
+    const branch = node.options[`=${number}`] || node.options[rules.select(relative)] || node.options.other;
+    return formatNodes(branch, values, locale, relative);
+  }).join('');
+}
+
+/**
+ * Formats an ICU message
+ *
+ * @param {string} message - e.g. '{count, plural, one {# file} other {# files}}'
+ * @param {Object} [values] - Values for the arguments
+ * @param {string} [locale='en'] - BCP 47 language tag for plural rules, numbers and dates
+ * @returns {string} The formatted text
+ * @throws {SyntaxError} If the message is malformed
+ * @throws {Error} If a value is missing
+ *
+ * @example
+ * formatMessage('{count, plural, one {# fichier} other {# fichiers}}', { count: 0 }, 'fr'); // '0 fichier'
+ * formatMessage('{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { place: 22 }); // '22nd'
+ */
+function formatMessage(message, values = {}, locale = 'en') {
+  return formatNodes(compileMessage(message), values, locale, undefined);
+}
+
+module.exports = {
+  formatMessage,
+  compileMessage
+};
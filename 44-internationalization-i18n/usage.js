@@ -0,0 +1,53 @@
+// usage.js - Demonstrates the message catalog, plural rules and localized greetings
+
+/**
+ * Run with: node usage.js
+ *
+ * IMPORTANT CONCEPTS:
+ * 1. One message key, many languages: the code stays the same for every locale
+ * 2. Plural rules differ: French uses the singular for 0, Japanese has one form
+ * 3. The greeting depends on the hour in the user's time zone, not the server's
+ */
+
+const { greet, createGreeter, formatName, matchLocale } = require('./greet');
+const { formatMessage } = require('./message-format');
+
+console.log('------ INTERNATIONALIZATION DEMO ------');
+
+// 1. The same greeting in every catalog language
+console.log('\n1. One key, four languages:');
+['en', 'fr', 'de', 'ja'].forEach((locale) => {
+  console.log(`   ${locale}: ${greet('ada', { locale, unread: 2 })}`);
+});
+
+// 2. Plural rules: =0 matches exactly, `one` and `other` come from Intl.PluralRules
+console.log('\n2. Plurals:');
+const files = '{count, plural, =0 {no files} one {# file} other {# files}}';
+const fichiers = '{count, plural, =0 {aucun fichier} one {# fichier} other {# fichiers}}';
+[0, 1, 2, 1500].forEach((count) => {
+  console.log(`   ${count}: ${formatMessage(files, { count }, 'en')} / ${formatMessage(fichiers, { count }, 'fr')}`);
+});
+// Ordinals have their own rules: 1st, 2nd, 3rd, 4th, 11th, 21st...
+const place = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+console.log(`   Ordinals: ${[1, 2, 3, 4, 11, 21].map((n) => formatMessage(place, { n })).join(', ')}`);
+
+// 3. The same moment is evening in New York, night in Berlin and morning in Tokyo
+console.log('\n3. Time of day:');
+const moment = new Date(Date.UTC(2024, 0, 15, 0, 30)); // 00:30 UTC
+[['en', 'America/New_York'], ['de', 'Europe/Berlin'], ['ja', 'Asia/Tokyo']].forEach(([locale, timeZone]) => {
+  const greeter = createGreeter({ locale, timeZone });
+  console.log(`   ${timeZone}: ${greeter.greet('ada', { date: moment })}`);
+});
+
+// 4. Names: re-cased only when typed in a single case
+console.log('\n4. Names:');
+['john smith', 'MARY-JANE O\'BRIEN', 'McDonald', 'van der Berg', 'ludwig van beethoven'].forEach((name) => {
+  console.log(`   ${JSON.stringify(name)} -> ${JSON.stringify(formatName(name))}`);
+});
+console.log(`   Turkish: ${formatName('istanbul', 'tr')} (English: ${formatName('istanbul', 'en')})`);
+
+// 5. Locale negotiation, e.g. from an HTTP Accept-Language header
+console.log('\n5. Picking a locale:');
+['fr-CA', 'de-CH, de;q=0.9, en;q=0.8', 'es-ES, ja;q=0.5', 'pt-BR'].forEach((requested) => {
+  console.log(`   ${requested} -> ${matchLocale(requested)}`);
+});